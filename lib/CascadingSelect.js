@@ -0,0 +1,244 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import { isEmpty } from './validation/constraints.js';
+
+/**
+ * Dependent "select" element, which options are loaded when value of the parent element changes
+ * (e.g. country → region → city chain).
+ */
+export default class CascadingSelect {
+    /**
+     * @param {Form} form
+     * @param {string} parentName The name of the parent form element.
+     * @param {string} childName The name of the dependent "select" element.
+     * @param {function} loader The function returning choices (or Promise resolved with choices) of the dependent element.
+     *                          See Form.setSelectOptions() for the choices format. Arguments passed to the function:
+     *                           - {string|string[]} value The parent element value.
+     *                           - {Form} form
+     * @param {{}}       [options]
+     * @param {string}   [options.placeholder] Label of the option with empty value.
+     * @param {string}   [options.loadingLabel = "Loading..."] Label of the option displayed while loading choices.
+     * @param {boolean}  [options.preserveSelected = true] Whether to preserve selected option, if still exists in the loaded choices.
+     * @param {boolean}  [options.disableWhenEmpty = true] Whether to disable the dependent element, when the parent element is empty.
+     * @param {function} [options.onError] The function called with the loader error.
+     * @param {function} [emit] The function emitting the form event, called with the event type and properties
+     *                          (passed by the Form).
+     */
+    constructor(form, parentName, childName, loader, options = {}, emit) {
+        if (typeof loader !== 'function') {
+            throw new TypeError(`Invalid loader of the "${childName}" element choices. Expected function.`);
+        }
+
+        this._form = form;
+        this._emit = emit || function () {};
+        this._parentName = parentName;
+        this._childName = childName;
+        this._loader = loader;
+        this._options = Object.assign({
+            placeholder: undefined,
+            loadingLabel: 'Loading...',
+            preserveSelected: true,
+            disableWhenEmpty: true,
+            onError: null
+        }, options);
+        this._parentValue = this._getParentValue();
+        this._requestId = 0;
+        this._pendingSelection = undefined;
+    }
+
+    /**
+     * @return {string}
+     */
+    getParentName() {
+        return this._parentName;
+    }
+
+    /**
+     * @return {string}
+     */
+    getChildName() {
+        return this._childName;
+    }
+
+    /**
+     * @return {boolean} Whether the parent element value changed since the last load.
+     */
+    isOutdated() {
+        const value = this._getParentValue();
+
+        return JSON.stringify(value) !== JSON.stringify(this._parentValue);
+    }
+
+    /**
+     * Sets value to select, when the choices are loaded next time
+     * (e.g. value of the next select element of the chain, set with Form.setData()).
+     *
+     * @param {string|string[]} value
+     */
+    setPendingSelection(value) {
+        this._pendingSelection = value;
+    }
+
+    /**
+     * Loads choices of the dependent element, according to the parent element value.
+     * When loading finishes, the "change" event is dispatched (once) on the dependent element,
+     * so the next select element of the chain is loaded.
+     *
+     * @param {string|string[]} [selected] The value to select after loading. Default the current value, if the
+     *                                     "preserveSelected" option is enabled.
+     *
+     * @return {Promise} Promise resolved when the choices are loaded.
+     */
+    load(selected) {
+        if (this._isParentLoading()) {
+            // The choices are loaded, when the parent element finishes loading.
+            if (selected !== undefined) {
+                this._pendingSelection = selected;
+            }
+
+            return Promise.resolve();
+        }
+
+        const requestId = ++this._requestId;
+
+        if (selected === undefined) {
+            selected = this._pendingSelection;
+        }
+
+        this._pendingSelection = undefined;
+        const element = this._form.getElement(this._childName);
+        const value = this._parentValue = this._getParentValue();
+        const options = this._options;
+
+        if (isEmpty(value)) {
+            this._form.setSelectOptions(this._childName, [], false, options);
+            element.disabled = options.disableWhenEmpty;
+
+            return Promise.resolve().then(() => this._dispatchChange(element));
+        }
+
+        const selectedValues = selected !== undefined ? [].concat(selected).map(String) : this._getSelectedValues(element);
+        this._setLoading(element, true);
+
+        return Promise.resolve()
+            .then(() => this._loader(value, this._form))
+            .then((choices) => {
+                if (requestId !== this._requestId) {
+                    return;
+                }
+
+                this._setLoading(element, false);
+                this._form.setSelectOptions(this._childName, choices, false, options);
+
+                if (options.preserveSelected || selected !== undefined) {
+                    // The options are selected without the form "change" event, emitted with the dispatched event.
+                    this._select(element, selectedValues);
+                }
+
+                this._dispatchChange(element);
+            }, (error) => {
+                if (requestId !== this._requestId) {
+                    return;
+                }
+
+                this._setLoading(element, false);
+                this._form.setSelectOptions(this._childName, [], false, options);
+
+                throw error;
+            });
+    }
+
+    /**
+     * Handles the parent element change. The loader error is passed to the "onError" function
+     * and emitted with the form "cascadeError" event.
+     *
+     * @param {string|string[]} [selected] The value to select after loading.
+     */
+    handleParentChange(selected) {
+        this.load(selected).catch((error) => {
+            if (typeof this._options.onError === 'function') {
+                this._options.onError(error);
+            }
+
+            this._emit('cascadeError', { error, parentName: this._parentName, childName: this._childName });
+        });
+    }
+
+    /**
+     * @param {HTMLSelectElement} element
+     * @param {boolean} loading
+     * @private
+     */
+    _setLoading(element, loading) {
+        element.disabled = loading;
+
+        if (loading) {
+            element.setAttribute('aria-busy', 'true');
+            this._form.setSelectOptions(this._childName, [{ value: '', label: this._options.loadingLabel }]);
+        } else {
+            element.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Selects the options with the values. When the value of the single select does not exist,
+     * the first option (the placeholder) is selected.
+     *
+     * @param {HTMLSelectElement} element
+     * @param {string[]} values
+     * @private
+     */
+    _select(element, values) {
+        if (!element.multiple) {
+            element.value = values.length > 0 ? values[0] : '';
+
+            if (element.selectedIndex === -1 && element.options.length > 0) {
+                element.selectedIndex = 0;
+            }
+
+            return;
+        }
+
+        for (const option of element.options) {
+            option.selected = values.indexOf(option.value) !== -1;
+        }
+    }
+
+    /**
+     * @param {HTMLSelectElement} element
+     *
+     * @return {string[]}
+     * @private
+     */
+    _getSelectedValues(element) {
+        return Array.prototype.filter.call(element.options, (option) => option.selected)
+            .map((option) => option.value);
+    }
+
+    /**
+     * @return {boolean} Whether the parent element is a select element of the chain, which choices are being loaded.
+     * @private
+     */
+    _isParentLoading() {
+        return this._form.getElements(this._parentName)[0].getAttribute('aria-busy') === 'true';
+    }
+
+    /**
+     * @return {string|string[]|undefined}
+     * @private
+     */
+    _getParentValue() {
+        return this._form.getElementValue(this._parentName);
+    }
+
+    /**
+     * @param {HTMLSelectElement} element
+     * @private
+     */
+    _dispatchChange(element) {
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+}
+
@@ -0,0 +1,324 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import { getFormElements } from './dom.js';
+import { escapeRegExp } from './utils.js';
+
+/**
+ * Manages collection (repeatable) form fields, e.g. "items[0][name]", "items[1][name]",
+ * with rows created from the "data-prototype" template (as rendered by the Symfony CollectionType).
+ */
+export default class Collection {
+    /**
+     * @param {Form} form
+     * @param {string} name The full name of the collection e.g. "order[items]".
+     * @param {{}}     [options]
+     * @param {HTMLElement|string} [options.container] The element (or CSS selector) containing the collection rows
+     *                                                 and the "data-prototype" attribute. Default the element with
+     *                                                 "data-collection" attribute equal to the collection name,
+     *                                                 or with id created from the name e.g. "order_items".
+     * @param {string} [options.prototype] The row HTML template. Default value of the container "data-prototype" attribute.
+     * @param {string} [options.prototypeName = "__name__"] The row index placeholder in the prototype.
+     * @param {string} [options.rowSelector] The CSS selector of the row elements. Default all children of the container.
+     * @param {string} [options.idPrefix] The id prefix of the collection elements. Default created from the name.
+     * @param {int}    [options.min = 0] The minimum number of rows.
+     * @param {int}    [options.max = Infinity] The maximum number of rows.
+     * @param {{}}     [options.constraints] The validation constraints of the row elements, with the element name
+     *                                       relative to the row as key, e.g. {"name": [required()], "address[city]": [...]}.
+     *                                       Constraints are added to the elements of every row.
+     * @param {function} [bindElements] The function registering the form element listeners to the elements
+     *                                  of the added row (passed by the Form).
+     */
+    constructor(form, name, options = {}, bindElements) {
+        this._form = form;
+        this._bindElements = bindElements || function () {};
+        this._name = name;
+        this._idPrefix = options.idPrefix || name.replace(/\]\[|\[|\]/g, '_').replace(/_$/, '');
+        this._container = this._resolveContainer(options.container);
+        this._prototype = options.prototype || this._container.getAttribute('data-prototype');
+        this._prototypeName = options.prototypeName || '__name__';
+        this._rowSelector = options.rowSelector || null;
+        this._min = options.min || 0;
+        this._max = options.max === undefined ? Infinity : options.max;
+        this._constraints = options.constraints || {};
+
+        if (!this._prototype) {
+            throw new TypeError(`Missing prototype of the collection "${name}".`);
+        }
+
+        for (let index = 0; index < this.count(); index++) {
+            this._addRowConstraints(index);
+        }
+    }
+
+    /**
+     * @return {string} The collection full name.
+     */
+    getName() {
+        return this._name;
+    }
+
+    /**
+     * @return {HTMLElement}
+     */
+    getContainer() {
+        return this._container;
+    }
+
+    /**
+     * @return {HTMLElement[]} The collection row elements.
+     */
+    getRows() {
+        const children = Array.from(this._container.children);
+
+        return this._rowSelector ? children.filter((child) => child.matches(this._rowSelector)) : children;
+    }
+
+    /**
+     * @return {int} The number of collection rows.
+     */
+    count() {
+        return this.getRows().length;
+    }
+
+    /**
+     * @return {boolean}
+     */
+    canAdd() {
+        return this.count() < this._max;
+    }
+
+    /**
+     * @return {boolean}
+     */
+    canRemove() {
+        return this.count() > this._min;
+    }
+
+    /**
+     * Adds new row at the end of the collection.
+     *
+     * @param {{}} [data] The serialized row data e.g. {name: "Foo", qty: 1}.
+     *
+     * @return {HTMLElement} The added row.
+     * @throws RangeError when the collection has maximum number of rows.
+     */
+    add(data) {
+        if (!this.canAdd()) {
+            throw new RangeError(`The collection "${this._name}" cannot have more than ${this._max} rows.`);
+        }
+
+        const index = this.count();
+        const template = document.createElement('template');
+        template.innerHTML = this._prototype
+            .split(this._prototypeName + 'label__').join(String(index))
+            .split(this._prototypeName).join(String(index))
+            .trim();
+
+        let row = template.content.firstElementChild;
+
+        if (template.content.childNodes.length !== 1) {
+            row = document.createElement('div');
+            row.appendChild(template.content);
+        }
+
+        this._container.appendChild(row);
+        this._bindElements(getFormElements(row));
+        this._addRowConstraints(index);
+
+        if (data) {
+            this._setRowData(index, data);
+        }
+
+        return row;
+    }
+
+    /**
+     * Removes row with the given index.
+     *
+     * @param {int} index
+     *
+     * @throws RangeError when the collection has minimum number of rows or the row does not exist.
+     */
+    remove(index) {
+        if (!this.canRemove()) {
+            throw new RangeError(`The collection "${this._name}" cannot have less than ${this._min} rows.`);
+        }
+
+        const row = this._getRow(index);
+        row.parentNode.removeChild(row);
+        this.reindex();
+        // Rows are reindexed, so the elements of the last index are removed.
+        this._removeRowConstraints(this.count());
+    }
+
+    /**
+     * Moves row to the new position.
+     *
+     * @param {int} from The current row index.
+     * @param {int} to The new row index.
+     */
+    move(from, to) {
+        const rows = this.getRows();
+        const row = this._getRow(from);
+        this._getRow(to);
+
+        if (from === to) {
+            return;
+        }
+
+        const reference = to > from ? rows[to].nextSibling : rows[to];
+        this._container.insertBefore(row, reference);
+        this.reindex();
+    }
+
+    /**
+     * Adds empty rows, until the collection has the given number of rows (or maximum number of rows).
+     *
+     * @param {int} count
+     */
+    grow(count) {
+        count = Math.min(count, this._max);
+
+        while (this.count() < count) {
+            this.add();
+        }
+    }
+
+    /**
+     * Removes the last rows, until the collection has the given number of rows (or minimum number of rows).
+     *
+     * @param {int} count
+     */
+    shrink(count) {
+        count = Math.max(count, this._min);
+
+        while (this.count() > count) {
+            this.remove(this.count() - 1);
+        }
+    }
+
+    /**
+     * Updates names, ids and labels of the row elements, according to the row positions.
+     */
+    reindex() {
+        const namePattern = new RegExp('^(' + escapeRegExp(this._name) + '\\[)[^\\]]*(\\])');
+        const idPattern = new RegExp('^(' + escapeRegExp(this._idPrefix) + '_)[^_]+');
+
+        this.getRows().forEach(function (row, index) {
+            const nodes = [row, ...row.querySelectorAll('[name], [id], label[for]')];
+
+            for (const node of nodes) {
+                if (node.hasAttribute('name')) {
+                    node.setAttribute('name', node.getAttribute('name').replace(namePattern, '$1' + index + '$2'));
+                }
+
+                for (const attribute of ['id', 'for']) {
+                    if (node.hasAttribute(attribute)) {
+                        node.setAttribute(attribute, node.getAttribute(attribute).replace(idPattern, '$1' + index));
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Removes the validation constraints of the row elements, added with the "constraints" option.
+     * The rows are not removed.
+     */
+    destroy() {
+        for (let index = 0; index < this.count(); index++) {
+            this._removeRowConstraints(index);
+        }
+    }
+
+    /**
+     * @param {int} index
+     * @private
+     */
+    _addRowConstraints(index) {
+        for (const name in this._constraints) {
+            this._form.addConstraints({ [this._getRowElementName(index, name)]: this._constraints[name] });
+        }
+    }
+
+    /**
+     * @param {int} index
+     * @private
+     */
+    _removeRowConstraints(index) {
+        for (const name in this._constraints) {
+            this._form.removeConstraints(this._getRowElementName(index, name), this._constraints[name]);
+        }
+    }
+
+    /**
+     * @param {int} index
+     * @param {string} name The element name relative to the row, e.g. "name" or "address[city]".
+     *
+     * @return {string} The full element name, e.g. "order[items][0][address][city]".
+     * @private
+     */
+    _getRowElementName(index, name) {
+        return `${this._name}[${index}]` + name.replace(/^[^\[]+/, '[$&]');
+    }
+
+    /**
+     * @param {int} index
+     * @param {{}} data
+     * @private
+     */
+    _setRowData(index, data) {
+        const names = this._name.match(/[^\[\]]+/g);
+        let value = { [index]: data };
+        let name;
+
+        while ((name = names.pop()) !== undefined) {
+            value = { [name]: value };
+        }
+
+        this._form.setData(value);
+    }
+
+    /**
+     * @param {int} index
+     *
+     * @return {HTMLElement}
+     * @private
+     */
+    _getRow(index) {
+        const row = this.getRows()[index];
+
+        if (!row) {
+            throw new RangeError(`The collection "${this._name}" does not have row with index ${index}.`);
+        }
+
+        return row;
+    }
+
+    /**
+     * @param {HTMLElement|string} [container]
+     *
+     * @return {HTMLElement}
+     * @private
+     */
+    _resolveContainer(container) {
+        const formElement = this._form.getFormElement();
+
+        if (typeof container === 'string') {
+            container = formElement.querySelector(container);
+        } else if (!container) {
+            const candidates = formElement.querySelectorAll('[data-collection], [data-prototype]');
+
+            container = Array.prototype.find.call(candidates, (element) => element.getAttribute('data-collection') === this._name)
+                || Array.prototype.find.call(candidates, (element) => element.id === this._idPrefix && element.hasAttribute('data-prototype'));
+        }
+
+        if (!(container instanceof HTMLElement)) {
+            throw new TypeError(`The form does not contain container of the collection "${this._name}".`);
+        }
+
+        return container;
+    }
+}
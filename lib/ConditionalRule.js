@@ -0,0 +1,288 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import { required, isEmpty } from './validation/constraints.js';
+
+// The initial disabled state of the elements changed by the rules.
+const initialDisabled = new WeakMap();
+
+/**
+ * Rule showing, hiding, enabling, disabling or requiring form elements,
+ * depending on value of the other form element.
+ *
+ *     form.when('type').equals('company').show('company_name').require('vat_id');
+ *
+ * Hidden elements are disabled, so their values are not included in the form data.
+ * Elements disabled in the HTML markup stay disabled, when the rule enables them.
+ */
+export default class ConditionalRule {
+    /**
+     * @param {Form} form
+     * @param {string} name The name of the form element, which value is the rule condition.
+     * @param {{}}     [options]
+     * @param {string} [options.containerSelector = ".form-group, .form-row, .mb-3"] The CSS selector of the element
+     *                 container to show or hide. If the element has no such container, only the element
+     *                 and its labels are shown or hidden.
+     */
+    constructor(form, name, options = {}) {
+        this._form = form;
+        this._name = name;
+        this._containerSelector = options.containerSelector || '.form-group, .form-row, .mb-3';
+        this._condition = (value) => !isEmpty(value);
+        this._actions = [];
+    }
+
+    /**
+     * @return {string} The name of the form element, which value is the rule condition.
+     */
+    getName() {
+        return this._name;
+    }
+
+    /**
+     * Sets condition: the element value equals to the given value.
+     * For the multiple choice elements: the given value is selected.
+     *
+     * @param {*} value
+     *
+     * @return {ConditionalRule}
+     */
+    equals(value) {
+        return this.matches((current) => Array.isArray(current)
+            ? current.map(String).indexOf(String(value)) !== -1
+            : current !== undefined && String(current) === String(value));
+    }
+
+    /**
+     * Sets condition: the element value does not equal to the given value.
+     *
+     * @param {*} value
+     *
+     * @return {ConditionalRule}
+     */
+    notEquals(value) {
+        this.equals(value);
+        const condition = this._condition;
+
+        return this.matches((current) => !condition(current));
+    }
+
+    /**
+     * Sets condition: the element value is one of the given values.
+     *
+     * @param {[]} values
+     *
+     * @return {ConditionalRule}
+     */
+    in(values) {
+        values = values.map(String);
+
+        return this.matches((current) => (Array.isArray(current) ? current : [current])
+            .some((value) => value !== undefined && values.indexOf(String(value)) !== -1));
+    }
+
+    /**
+     * Sets condition: the checkbox is checked (or the element has any value).
+     *
+     * @return {ConditionalRule}
+     */
+    checked() {
+        return this.notEmpty();
+    }
+
+    /**
+     * @return {ConditionalRule}
+     */
+    empty() {
+        return this.matches(isEmpty);
+    }
+
+    /**
+     * @return {ConditionalRule}
+     */
+    notEmpty() {
+        return this.matches((value) => !isEmpty(value));
+    }
+
+    /**
+     * Sets custom condition.
+     *
+     * @param {function} condition The function called with the element value. Should return boolean.
+     *
+     * @return {ConditionalRule}
+     */
+    matches(condition) {
+        if (typeof condition !== 'function') {
+            throw new TypeError(`Invalid condition of the rule for element with name "${this._name}". Expected function.`);
+        }
+
+        this._condition = condition;
+        this.evaluate();
+
+        return this;
+    }
+
+    /**
+     * Shows (and enables) the elements when the condition is met, otherwise hides (and disables) them.
+     *
+     * @param {...string} names The form element names or CSS selectors.
+     *
+     * @return {ConditionalRule}
+     */
+    show(...names) {
+        return this._addAction('show', names);
+    }
+
+    /**
+     * Hides (and disables) the elements when the condition is met, otherwise shows (and enables) them.
+     *
+     * @param {...string} names The form element names or CSS selectors.
+     *
+     * @return {ConditionalRule}
+     */
+    hide(...names) {
+        return this._addAction('hide', names);
+    }
+
+    /**
+     * Enables the elements when the condition is met, otherwise disables them.
+     *
+     * @param {...string} names The form element names or CSS selectors.
+     *
+     * @return {ConditionalRule}
+     */
+    enable(...names) {
+        return this._addAction('enable', names);
+    }
+
+    /**
+     * Disables the elements when the condition is met, otherwise enables them.
+     *
+     * @param {...string} names The form element names or CSS selectors.
+     *
+     * @return {ConditionalRule}
+     */
+    disable(...names) {
+        return this._addAction('disable', names);
+    }
+
+    /**
+     * Makes the elements required when the condition is met.
+     * Adds the "required" validation constraint and toggles the "required" attribute of the elements.
+     *
+     * @param {...string} names The form element names.
+     *
+     * @return {ConditionalRule}
+     */
+    require(...names) {
+        const constraint = required();
+
+        for (const name of names) {
+            this._form.addConstraints({
+                [name]: {
+                    name: 'required',
+                    validate: (value, element) => this.isSatisfied() ? constraint.validate(value, element) : null
+                }
+            });
+        }
+
+        return this._addAction('require', names);
+    }
+
+    /**
+     * @return {boolean} Whether the rule condition is met.
+     */
+    isSatisfied() {
+        return this._condition(this._form.getElementValue(this._name)) === true;
+    }
+
+    /**
+     * Applies the rule actions to the elements, according to the condition.
+     */
+    evaluate() {
+        if (this._actions.length === 0) {
+            return;
+        }
+
+        const satisfied = this.isSatisfied();
+
+        for (const action of this._actions) {
+            for (const name of action.names) {
+                const elements = this._form.getElements(name);
+
+                switch (action.type) {
+                    case 'show':
+                    case 'hide':
+                        const visible = action.type === 'show' ? satisfied : !satisfied;
+                        this._toggleVisibility(elements, visible);
+                        toggleDisabled(elements, !visible);
+                        break;
+                    case 'enable':
+                        toggleDisabled(elements, !satisfied);
+                        break;
+                    case 'disable':
+                        toggleDisabled(elements, satisfied);
+                        break;
+                    case 'require':
+                        for (const element of elements) {
+                            element.required = satisfied;
+                        }
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {string} type
+     * @param {string[]} names
+     *
+     * @return {ConditionalRule}
+     * @private
+     */
+    _addAction(type, names) {
+        this._actions.push({ type, names });
+        this.evaluate();
+
+        return this;
+    }
+
+    /**
+     * @param {Node[]|NodeList} elements
+     * @param {boolean} visible
+     * @private
+     */
+    _toggleVisibility(elements, visible) {
+        for (const element of elements) {
+            const container = element.closest(this._containerSelector);
+
+            if (container && this._form.getFormElement().contains(container)) {
+                container.hidden = !visible;
+
+                continue;
+            }
+
+            element.hidden = !visible;
+
+            for (const label of element.labels || []) {
+                label.hidden = !visible;
+            }
+        }
+    }
+}
+
+/**
+ * Disables the elements, or restores their initial disabled state.
+ *
+ * @param {Node[]|NodeList} elements
+ * @param {boolean} disabled
+ */
+function toggleDisabled(elements, disabled) {
+    for (const element of elements) {
+        if (!initialDisabled.has(element)) {
+            initialDisabled.set(element, element.disabled);
+        }
+
+        element.disabled = disabled || initialDisabled.get(element);
+    }
+}
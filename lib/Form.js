@@ -2,16 +2,50 @@
  * (c) Artur Doruch <arturdoruch@interia.pl>
  */
 
-import $ from 'jquery';
-import eventRegistry from '@arturdoruch/event-registry';
-import HttpRequest from './HttpRequest.js';
+import HttpRequest, { createFormData } from './HttpRequest.js';
+import FormEvent from './FormEvent.js';
+import Collection from './Collection.js';
+import ConditionalRule from './ConditionalRule.js';
+import CascadingSelect from './CascadingSelect.js';
+import FormPersistence from './FormPersistence.js';
+import UrlSync from './UrlSync.js';
+import Steps from './Steps.js';
+import DateField from './date/DateField.js';
+import DateRange from './date/DateRange.js';
+import { flatten, isFile } from './queryString.js';
+import { getFormElements, closestFormElement } from './dom.js';
+import { isStructure } from './utils.js';
+import { normalizeChoices } from './choices.js';
+import SchemaRenderer, { getFieldName } from './renderer/SchemaRenderer.js';
+import ErrorSummary from './renderer/ErrorSummary.js';
+import LiveRegion from './renderer/LiveRegion.js';
+import { setAriaErrors, ensureId, getLabel } from './renderer/aria.js';
+import Validator from './validation/Validator.js';
+import { required, resolveConstraint } from './validation/constraints.js';
+import { normalizeViolations, createJsonPointer } from './validation/violations.js';
+import { mapJsonSchema } from './validation/jsonSchema.js';
+import { translate } from './validation/messages.js';
+import converters, { resolveType, getConverterName } from './converter/valueConverters.js';
 
 const formElementNames = [
     'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'
 ];
 
+const setDataModes = [
+    'merge', 'replace'
+];
+
+const buttonTypes = [
+    'submit', 'button', 'reset', 'image'
+];
+
+// Events not bubbling up to the form, so delegated listeners are registered in the capture phase.
+const nonBubblingEvents = [
+    'focus', 'blur', 'mouseenter', 'mouseleave', 'invalid', 'load', 'error'
+];
+
 /**
- * HTML form manager.
+ * HTML form manager. Does not require jQuery, but accepts the jQuery object as the form.
  */
 export default class Form {
     /**
@@ -24,27 +58,129 @@ export default class Form {
         this._eventData = [];
         this._submitData = [];
         this._elementNamePrefix = null;
+        this._validator = new Validator();
+        this._errors = {};
+        this._errorRenderer = null;
+        this._valueConverters = {};
+        this._snapshot = null;
+        this._dirty = false;
+        this._dirtyListener = null;
+        this._unloadGuard = null;
+        this._submitted = false;
+        this._collections = {};
+        this._rules = [];
+        this._cascades = [];
+        this._persistence = null;
+        this._urlSync = null;
+        this._handlers = {};
+        this._formListener = null;
+        this._submitResults = new WeakMap();
+        this._handlingSubmit = null;
+        this._observer = null;
+        this._submission = null;
+        this._jsonSchema = null;
+        this._dateFields = {};
+        this._dateRanges = [];
+        this._errorSummary = null;
+        this._announcements = null;
+        this._steps = null;
+
+        this._addFormListeners();
+    }
+
+    /**
+     * Renders the form from the schema into the container, and creates the form manager.
+     * Registers the "required" and "constraints" of the schema fields (except the collection fields)
+     * as the validation constraints. The "constraints" are the constraint objects or the serializable descriptors,
+     * e.g. {type: "length", max: 50} (see the resolveConstraint() function of lib/validation/constraints.js).
+     * Creates the collection managers with initial rows, and adds the listeners of the collection "add" and "remove"
+     * buttons. See the SchemaRenderer class for the schema format.
+     *
+     * @param {HTMLElement|jQuery|string} container The container element or jQuery object, or CSS selector.
+     * @param {{fields: {}[]}} schema
+     * @param {{}} [options]
+     * @param {{}} [options.templates] The templates overriding the default ones.
+     * @param {SchemaRenderer} [options.renderer] The custom renderer.
+     *
+     * @return {Form}
+     */
+    static render(container, schema, options = {}) {
+        const element = typeof container === 'string'
+            ? document.querySelector(container)
+            : (container && typeof container.jquery === 'string' ? container[0] : container);
+
+        if (!(element instanceof HTMLElement)) {
+            throw new TypeError('Invalid form container. Expected HTMLElement, jQuery object or CSS selector of existing element.');
+        }
+
+        const renderer = options.renderer || new SchemaRenderer(options.templates);
+        element.innerHTML = renderer.render(schema);
+
+        const form = new Form(element.querySelector('form'));
+        configureFields(form, schema.fields, schema.name);
+
+        form.addElementListener('click', '[data-collection-add]', function (button) {
+            const collection = this.collection(button.getAttribute('data-collection-add'));
+
+            if (collection.canAdd()) {
+                collection.add();
+            }
+        }, { delegate: true });
+
+        form.addElementListener('click', '[data-collection-remove]', function (button) {
+            const collection = this.collection(button.getAttribute('data-collection-remove'));
+            const index = collection.getRows().findIndex((row) => row.contains(button));
+
+            if (index !== -1 && collection.canRemove()) {
+                collection.remove(index);
+            }
+        }, { delegate: true });
+
+        return form;
     }
 
     /**
      * Queries form from the DOM document. Re-registers event listener to the form element.
+     * Listeners are never registered twice, so the method may be called many times.
      */
     refresh() {
+        this._removeListeners();
         this._setForm();
+        // The form listener must be called before the submit listeners, to block re-entrant submits.
+        this._addFormListeners();
 
-        let data = this._eventData;
-        this._eventData = [];
+        for (const item of this._eventData) {
+            this._addElementListener(item.options.delegate === true ? [] : this.getElements(item.name), item);
+        }
 
-        for (let item of data) {
-            this.addElementListener(item.event, item.name, item.listener, item.options);
+        for (const item of this._submitData) {
+            this._addSubmitListener(item);
         }
 
-        data = this._submitData;
-        this._submitData = [];
+        if (this._dirtyListener) {
+            this._addDirtyListener();
+        }
+
+        this._evaluateRules();
+
+        if (this._persistence) {
+            this._persistence.attach();
+            this._persistence.restore();
+        }
+
+        if (this._urlSync) {
+            this._urlSync.attach();
+        }
+
+        if (this._observer) {
+            this._observer.observe(this._form, { childList: true, subtree: true });
+        }
 
-        for (let item of data) {
-            this.addSubmitListener(item.listener, item.options);
+        if (this._announcements) {
+            this._announcements.region.setContainer(this._form);
         }
+
+        this._renderErrorSummary();
     }
 
     /**
@@ -53,8 +189,15 @@ export default class Form {
      * @private
      */
     _setForm() {
-        this.$form = $(this._selector);
-        this._form = this.$form[0];
+        const selector = this._selector;
+
+        if (typeof selector === 'string') {
+            this._form = document.querySelector(selector);
+        } else if (selector && typeof selector.jquery === 'string') {
+            this._form = selector[0];
+        } else {
+            this._form = selector;
+        }
 
         if (!(this._form instanceof HTMLFormElement)) {
             if (typeof this._selector === 'string') {
@@ -65,6 +208,11 @@ export default class Form {
         }
 
         this._elements = this._form.elements;
+
+        /**
+         * @deprecated Use the getFormElement() method. Available only when jQuery is loaded globally.
+         */
+        this.$form = typeof window.jQuery === 'function' ? window.jQuery(this._form) : undefined;
     }
 
     /**
@@ -87,6 +235,15 @@ export default class Form {
         return this._form.name;
     }
 
+    /**
+     * Gets the form HTMLFormElement.
+     *
+     * @return {HTMLFormElement}
+     */
+    getFormElement() {
+        return this._form;
+    }
+
     /**
      * @return {string}
      */
@@ -103,6 +260,15 @@ export default class Form {
         return this._form.method;
     }
 
+    /**
+     * Gets encoding type of the form data.
+     *
+     * @return {string}
+     */
+    getEnctype() {
+        return this._form.enctype;
+    }
+
     /**
      * Gets form elements with name or CSS selector.
      *
@@ -166,13 +332,16 @@ export default class Form {
      * @param {string} name The element name or CSS selector.
      */
     removeElement(name) {
-        $(this.getElements(name)).remove();
+        for (const element of Array.from(this.getElements(name))) {
+            element.parentNode.removeChild(element);
+        }
     }
 
     /**
      * Submits the form.
      */
     submit() {
+        this._submitted = true;
         this._form.submit();
     }
 
@@ -189,33 +358,33 @@ export default class Form {
      * @param {{}}      [options.context = window] The listener context.
      * @param {boolean} [options.preventDefault = true] Whether to block element default event
      *                                                  (e.g. stop button from sending the form).
+     * @param {boolean} [options.delegate = false] Whether to register the listener to the form element
+     *                                             and match the event target at dispatch time.
+     *                                             The listener handles also elements added to the form later.
      *
      * @return Form
      */
     addElementListener(event, name, listener, options = {}) {
-        const elements = this.getElements(name);
-
-        if (elements) {
-            let self = this;
-
-            if (typeof listener !== 'function') {
-                throw new TypeError(`Invalid listener for element with name "${name}". Expected function, but got "${typeof listener}".`);
-            }
-
-            eventRegistry.on(event, elements, function (e) {
-                listener.apply(options.context || self, [e.target, self._elements, ...(options.arguments || [])]);
-            }, [], null, options.preventDefault);
-
-            this._eventData.push({ event, name, listener, options });
+        if (typeof listener !== 'function') {
+            throw new TypeError(`Invalid listener for element with name "${name}". Expected function, but got "${typeof listener}".`);
         }
 
+        const item = { event, name, listener, options };
+        this._addElementListener(options.delegate === true ? [] : this.getElements(name), item);
+        this._eventData.push(item);
+
         return this;
     }
 
     /**
      * Adds a listener to the form submit event.
      * The listener is called when `button[type="submit"]` is clicked or pressed "enter" key
-     * while input element is selected.
+     * while input element is selected. The listener is not called when the "beforeSubmit" event
+     * is cancelled or the form is invalid.
+     *
+     * When the listener returns a Promise, the form is in submitting state until the Promise is settled:
+     * the submit buttons are disabled (the clicked button label is replaced with the "data-loading-text"
+     * attribute value) and next submits are ignored.
      *
      * @param {function} listener Arguments passed to the listener:
      *                             - {HTMLButtonElement} submitter The clicked button.
@@ -227,340 +396,2418 @@ export default class Form {
      * @return Form
      */
     addSubmitListener(listener, options = {}) {
-        let self = this;
-
-        eventRegistry.on('submit', this._form, function (e) {
-            listener.apply(options.context || self, [e.originalEvent.submitter, ...(options.arguments || [])]);
-        }, [], null, options.preventDefault);
+        if (typeof listener !== 'function') {
+            throw new TypeError(`Invalid submit listener. Expected function, but got "${typeof listener}".`);
+        }
 
-        this._submitData.push({ listener, options });
+        const item = { listener, options };
+        this._addSubmitListener(item);
+        this._submitData.push(item);
 
         return this;
     }
 
     /**
-     * Calls specified function for the all of form elements.
+     * Removes listener registered with the addElementListener() method.
      *
-     * @param {function} fn The function to call with all of form elements.
-     *                          Argument passed to the function: {Node|NodeList} element The form element.
-     * @param {object} [fnContext = null]
+     * @param {string} event The event name.
+     * @param {string} name The form element name or CSS selector.
+     * @param {function} [listener] If not specified, all listeners of the event and element are removed.
+     *
+     * @return {Form}
      */
-    callElementsFunction(fn, fnContext = null) {
-        for (const element of this._elements) {
-            fn.call(fnContext, element, this._elements);
-        }
+    removeElementListener(event, name, listener) {
+        this._eventData = this._eventData.filter((item) => {
+            if (item.event !== event || item.name !== name || (listener !== undefined && item.listener !== listener)) {
+                return true;
+            }
+
+            unbind(item);
+
+            return false;
+        });
+
+        return this;
     }
 
     /**
-     * Creates HTTP request with form properties.
+     * Removes listener registered with the addSubmitListener() method.
      *
-     * @param {boolean} [skipEmptyValue = false] Whether to not include elements with empty value.
-     * @param {{}} [extraData] Extra (serialized) data to add, to the GET request query and POST request parameters.
+     * @param {function} [listener] If not specified, all submit listeners are removed.
      *
-     * @return {HttpRequest}
+     * @return {Form}
      */
-    createHttpRequest(skipEmptyValue, extraData = {}) {
-        const data = $.extend(this.getData(skipEmptyValue), extraData);
+    removeSubmitListener(listener) {
+        this._submitData = this._submitData.filter((item) => {
+            if (listener !== undefined && item.listener !== listener) {
+                return true;
+            }
+
+            unbind(item);
 
-        return new HttpRequest(this.getMethod(), this.getAction(), data);
+            return false;
+        });
+
+        return this;
     }
 
     /**
-     * Gets form element values.
+     * Enables observing the form for added and removed elements. Listeners added with
+     * the addElementListener() method are registered to the added elements, and conditional rules
+     * are evaluated, so calling refresh() is not needed after changing the form content.
      *
-     * @param {boolean} [skipEmptyValues = false] Whether to not include elements with empty value.
-     * @param {boolean} [serialized = true] Whether to get serialized data.
-     *
-     * @return {{}} An object with {"element-name": "value"} pairs or object with serialized data.
+     * @return {Form}
      */
-    getData(skipEmptyValues = false, serialized = true) {
-        const elementValues = this._getElementValues(skipEmptyValues);
+    enableAutoRefresh() {
+        if (!this._observer) {
+            this._observer = new MutationObserver((mutations) => this._handleMutations(mutations));
+            this._observer.observe(this._form, { childList: true, subtree: true });
+        }
 
-        if (serialized !== true) {
-            return elementValues;
+        return this;
+    }
+
+    /**
+     * @return {Form}
+     */
+    disableAutoRefresh() {
+        if (this._observer) {
+            this._observer.disconnect();
+            this._observer = null;
         }
 
-        let data = {};
-        const buildObject = function (object, key, value) {
-            object[key] = value;
+        return this;
+    }
 
-            return object;
-        };
+    /**
+     * Removes all listeners registered by the form (element, submit and form event listeners),
+     * and disables persistence, URL synchronization and the unload guard. Removes the rendered errors
+     * (and the "aria-invalid" state of the elements), and the validation constraints (including the constraints
+     * of the collections, date ranges and JSON Schema). The form should not be used after calling this method.
+     */
+    destroy() {
+        this.clearErrors();
+        this.removeSubmitListener();
 
-        for (const name in elementValues) {
-            let value = elementValues[name];
-            const names = name.match(/[^\[\]]+/g);
-            let _name;
+        for (const item of this._eventData) {
+            unbind(item);
+        }
 
-            while ((_name = names.pop()) !== undefined) {
-                if (_name.match(/^\d+$/)) {
-                    value = buildObject([], _name, value);
-                } else if (_name.match(/^.+$/)) {
-                    value = buildObject({}, _name, value);
-                }
-            }
+        this._eventData = [];
+        this._removeListeners();
+        this._persistence = null;
+        this._urlSync = null;
+        this._dirtyListener = null;
+        this._rules = [];
+        this._cascades = [];
+        this.disableUnloadGuard();
+        this.disableAutoRefresh();
+        this.disableErrorSummary();
+        this.disableAnnouncements();
+        this.off();
+
+        if (this._steps) {
+            this._steps.destroy();
+            this._steps = null;
+        }
 
-            data = $.extend(true, data, value);
+        for (const range of this._dateRanges) {
+            range.destroy();
         }
 
-        return data;
+        for (const name in this._dateFields) {
+            this._dateFields[name].destroy();
+        }
+
+        for (const name in this._collections) {
+            this._collections[name].destroy();
+        }
+
+        this._dateRanges = [];
+        this._dateFields = {};
+        this._collections = {};
+        this._jsonSchema = null;
+        this._validator = new Validator();
     }
 
     /**
-     * Sets values of the form elements.
+     * Stores current values of the form elements, as the reference values for the dirty state checking.
+     * After calling this method, the "dirtychange" event (CustomEvent with detail {dirty: boolean}) is dispatched
+     * on the form element, every time the form changes its dirty state.
      *
-     * @param {{}} data The form data. An object with {"element-name": "value"} pairs or object with serialized form data.
-     * @param {boolean} [serialized = true] Whether to passed data is a serialized form data.
+     * @return {Form}
      */
-    setData(data, serialized = true) {
-        if (serialized === true) {
-            if (this._elementNamePrefix && !data.hasOwnProperty(this._elementNamePrefix)) {
-                data = {[this._elementNamePrefix]: data};
-            }
-        } else {
-            for (let name in data) {
-                name = this._prepareElementName(name);
-            }
-        }
-
-        if (serialized === true) {
-            // Deserialize form data.
-            const queryParameters = $.param(data).split('&');
-            data = {};
-
-            for (const parameter of queryParameters) {
-                const parts = parameter.split('=');
-                const name = decodeURIComponent(parts[0]);
-                const value = decodeURIComponent(parts[1]);
-
-                if (/\[\]$/.test(name)) {
-                    if (!data.hasOwnProperty(name)) {
-                        data[name] = [];
-                    }
+    snapshot() {
+        this._snapshot = this._getElementValues(false);
+        this._addDirtyListener();
+        this._updateDirtyState();
 
-                    data[name].push(value);
-                } else {
-                    data[name] = value;
-                }
-            }
-        }
+        return this;
+    }
 
-        this._setElementValues(this._elements, data);
+    /**
+     * Checks whether values of the form elements differ from the values stored with the snapshot() method.
+     *
+     * @return {boolean}
+     */
+    isDirty() {
+        return Object.keys(this.getChangedData(false)).length > 0;
     }
 
     /**
-     * Sets values of the form elements to empty.
+     * Gets values of the form elements changed since the snapshot() method call.
+     * Elements not having value anymore (e.g. unchecked checkbox) have null value.
      *
-     * @param {[]} [preserveElements] The list of element names, which should not be reset.
-     * @param {boolean} [resetHidden = true] Whether to reset input elements with type of "hidden".
+     * @param {boolean} [serialized = true] Whether to get serialized data.
+     *
+     * @return {{}} An object with {"element-name": "value"} pairs or object with serialized data.
      */
-    resetData(preserveElements = [], resetHidden) {
-        preserveElements = preserveElements.map(this._prepareElementName.bind(this));
+    getChangedData(serialized = true) {
+        if (this._snapshot === null) {
+            throw new Error('The form snapshot is not created. Call the "snapshot()" method first.');
+        }
 
-        for (const element of this._elements) {
-            const type = element.type;
+        const values = this._getElementValues(false);
+        const changed = {};
 
-            if (preserveElements.indexOf(element.name) !== -1 || (type === 'hidden' && resetHidden === false)) {
-                continue;
+        for (const name in values) {
+            if (!this._snapshot.hasOwnProperty(name) || !valuesEqual(values[name], this._snapshot[name])) {
+                changed[name] = values[name];
             }
+        }
 
-            if (element.nodeName === 'SELECT') {
-                for (const option of element.options) {
-                    option.selected = false;
-                }
-            } else if (element.nodeName !== 'BUTTON') {
-                if (type === 'radio' || type === 'checkbox') {
-                    element.checked = false;
-                } else {
-                    element.value = '';
-                }
+        for (const name in this._snapshot) {
+            if (!values.hasOwnProperty(name)) {
+                changed[name] = null;
             }
         }
+
+        return serialized === true ? serializeData(changed) : changed;
     }
 
     /**
-     * Sets form element value.
+     * Enables displaying the browser confirmation dialog, when leaving the page with the dirty form.
+     * The dialog is not displayed while the form is being submitted.
+     * Creates the form snapshot, if not created yet.
      *
-     * @param {string} name The form element name.
-     * @param {string|number|boolean} value
+     * @return {Form}
      */
-    setElementValue(name, value) {
-        const element = this.getElement(name);
-        this._setElementValues([element], {[element.name]: value});
+    enableUnloadGuard() {
+        if (this._snapshot === null) {
+            this.snapshot();
+        }
+
+        if (!this._unloadGuard) {
+            this._unloadGuard = (e) => {
+                if (!this._submitted && this.isDirty()) {
+                    e.preventDefault();
+                    e.returnValue = '';
+                }
+            };
+
+            window.addEventListener('beforeunload', this._unloadGuard);
+        }
+
+        return this;
     }
 
     /**
-     * Sets options of the "select" element.
-     *
-     * @param {string} name The name of "select" element.
-     * @param {{}} choices The select options data. Object with pairs: "value: label".
-     * @param {boolean} [preserveSelected = false] Whether to preserve selected options.
+     * @return {Form}
      */
-    setSelectOptions(name, choices, preserveSelected) {
-        const element = this.getElement(name);
+    disableUnloadGuard() {
+        if (this._unloadGuard) {
+            window.removeEventListener('beforeunload', this._unloadGuard);
+            this._unloadGuard = null;
+        }
 
-        if (element.type === 'select-one' || element.type === 'select-multiple') {
-            const selectedOptions = {};
-            const options = element.querySelectorAll('option');
+        return this;
+    }
 
-            for (const option of options) {
-                if (option.selected == true) {
-                    selectedOptions[option.value] = option.textContent;
-                }
+    /**
+     * Enables saving the form data into the storage (localStorage by default), while the user fills the form.
+     * Saved data is restored immediately and after calling the refresh() method.
+     *
+     * @param {{}} [options] See the FormPersistence class constructor.
+     *
+     * @return {Form}
+     */
+    enablePersistence(options) {
+        this.disablePersistence();
+        this._persistence = new FormPersistence(this, options, (name) => this._prepareElementName(name));
+        this._persistence.attach();
+        this._persistence.restore();
 
-                element.removeChild(option);
-            }
+        return this;
+    }
 
-            for (const value in choices) {
-                const option = document.createElement('option');
-                option.value = value;
-                option.textContent = choices[value];
+    /**
+     * Disables saving the form data. Saved data is not removed.
+     *
+     * @return {Form}
+     */
+    disablePersistence() {
+        if (this._persistence) {
+            this._persistence.detach();
+            this._persistence = null;
+        }
 
-                if (preserveSelected === true && selectedOptions.hasOwnProperty(value)) {
-                    option.selected = true;
-                }
+        return this;
+    }
 
-                element.appendChild(option);
-            }
+    /**
+     * Removes the form data and the steps progress saved in the storage, e.g. after successful form submission.
+     *
+     * @return {Form}
+     */
+    clearPersisted() {
+        if (this._persistence) {
+            this._persistence.clear();
+        }
+
+        if (this._steps) {
+            this._steps.clearProgress();
         }
+
+        return this;
     }
 
     /**
-     * Gets form elements values.
+     * Enables synchronizing the form data with the URL query string. The form data is written into the URL
+     * on the form submit or change, and restored from the URL immediately and on the browser history navigation.
      *
-     * @param {boolean} [skipEmptyValues = false]
+     * @param {{}} [options] See the UrlSync class constructor.
      *
-     * @return {{}} An object with {"element-name": "value"} pairs.
+     * @return {Form}
      */
-    _getElementValues(skipEmptyValues) {
-        const data = {};
+    syncWithUrl(options) {
+        this.stopUrlSync();
+        this._urlSync = new UrlSync(this, options, (event) => this._canSubmit(event));
+        this._urlSync.attach();
 
-        for (const element of this._elements) {
-            let value = element.value;
-            const name = element.name;
-            const type = element.type;
+        if (window.location.search) {
+            this._urlSync.restore();
+        }
 
-            if (!name || element.nodeName === 'BUTTON' || element.disabled) {
-                continue;
-            }
+        return this;
+    }
 
-            if (type === 'select-multiple') {
-                value = [];
+    /**
+     * @return {Form}
+     */
+    stopUrlSync() {
+        if (this._urlSync) {
+            this._urlSync.detach();
+            this._urlSync = null;
+        }
 
-                for (const option of element.selectedOptions) {
-                    value.push(option.value);
-                }
-            } else if (type === 'checkbox') {
-                if (data.hasOwnProperty(name)) {
-                    continue;
-                }
+        return this;
+    }
 
-                let elementList = this.getElement(name);
+    /**
+     * Registers listener of the form event. The listener is called with the FormEvent object.
+     *
+     * Available events:
+     *  - "change", "input" The element value has been changed by the user or programmatically (with "setData",
+     *    "setElementValue" or "resetData" methods). Event properties: "name", "value", "element", "source"
+     *    (one of "user", "setData", "setElementValue", "resetData").
+     *  - "beforeSubmit" The form is going to be submitted. Call event.preventDefault() to cancel the submission.
+     *    Event properties: "submitter", "originalEvent".
+     *  - "submitSuccess" The submitAsync() request succeeded. Event properties: "response".
+     *  - "submitError" The submitAsync() request failed. Event properties: "response" or "error".
+     *  - "afterSetData" Event properties: "data".
+     *  - "afterReset" The form has been reset with the resetData() method or natively (e.g. with the reset button).
+     *  - "invalid" The form validation failed. Event properties: "errors".
+     *  - "dirtychange" Event properties: "dirty".
+     *  - "beforeStepChange" The step is going to be changed (see the steps() method). Call event.preventDefault()
+     *    to cancel the change. Event properties: "from", "to".
+     *  - "stepChange" Event properties: "from", "to", "step".
+     *  - "cascadeError" Loading choices of the dependent select failed (see the cascade() method).
+     *    Event properties: "error", "parentName", "childName".
+     *
+     * @param {string} event The event name.
+     * @param {function} listener
+     *
+     * @return {Form}
+     */
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError(`Invalid listener of the "${event}" event. Expected function, but got "${typeof listener}".`);
+        }
 
-                if (elementList instanceof RadioNodeList) {
-                    value = [];
+        (this._handlers[event] = this._handlers[event] || []).push(listener);
 
-                    for (const elem of elementList) {
-                        if (elem.checked) {
-                            value.push(elem.value);
-                        }
+        return this;
+    }
+
+    /**
+     * Removes listener of the form event.
+     *
+     * @param {string} [event] The event name. If not specified, all listeners of all events are removed.
+     * @param {function} [listener] If not specified, all listeners of the event are removed.
+     *
+     * @return {Form}
+     */
+    off(event, listener) {
+        if (event === undefined) {
+            this._handlers = {};
+        } else if (listener === undefined) {
+            delete this._handlers[event];
+        } else if (this._handlers.hasOwnProperty(event)) {
+            this._handlers[event] = this._handlers[event].filter((item) => item !== listener);
+        }
+
+        return this;
+    }
+
+    /**
+     * Adds validation constraints to the form elements. The form submission is blocked
+     * while the form is invalid.
+     *
+     * @param {{}} constraints Object with pairs: "element-name": [constraint, ...].
+     *                         See lib/validation/constraints.js for the built-in constraints.
+     *
+     * @return {Form}
+     */
+    addConstraints(constraints) {
+        for (const name in constraints) {
+            this._validator.addConstraints(this._prepareElementName(name), constraints[name]);
+        }
+
+        return this;
+    }
+
+    /**
+     * Removes validation constraints of the form element.
+     *
+     * @param {string} name The form element name.
+     * @param {[]} [constraints] The constraints to remove. Default all constraints of the element.
+     *
+     * @return {Form}
+     */
+    removeConstraints(name, constraints) {
+        name = this._prepareElementName(name);
+        this._validator.removeConstraints(name, constraints);
+        this._setElementErrors(name, []);
+
+        return this;
+    }
+
+    /**
+     * Maps the JSON Schema properties onto the form elements (respecting the nesting and the element name prefix).
+     * Adds validation constraints derived from the schema keywords ("required", "minLength", "pattern", "enum",
+     * "minimum", "maximum", "format", etc.), and sets value converters of the "integer", "number", "boolean"
+     * and date properties, used by getData() in typed mode. See lib/validation/jsonSchema.js for the supported keywords.
+     *
+     * Elements added later (e.g. the collection rows) are mapped, when the form is validated or the typed data is got.
+     * Constraints and converters of the previously used schema are removed.
+     *
+     * @param {{}} schema The JSON Schema of the form data. When the form name is used as the element name prefix,
+     *                    the schema of the data nested in the form name.
+     *
+     * @return {Form}
+     */
+    useJsonSchema(schema) {
+        if (!schema || typeof schema !== 'object') {
+            throw new TypeError(`Invalid JSON Schema. Expected object, but got "${typeof schema}".`);
+        }
+
+        const fields = mapJsonSchema(schema);
+
+        if (this._jsonSchema) {
+            for (const name in this._jsonSchema.names) {
+                this._removeJsonSchemaConstraints(name);
+            }
+        }
+
+        this._jsonSchema = { fields, names: {} };
+        this._applyJsonSchema();
+
+        return this;
+    }
+
+    /**
+     * Validates values of the form elements. Disabled elements are not validated.
+     *
+     * @param {string[]} [names] The names of the elements to validate. Default all elements with constraints.
+     *
+     * @return {boolean} Whether the validated elements are valid.
+     */
+    validate(names) {
+        this._applyJsonSchema();
+        names = names ? names.map(this._prepareElementName.bind(this)) : this._validator.getNames();
+        const values = this._getElementValues(false);
+        const errors = {};
+        let valid = true;
+
+        for (const name of names) {
+            errors[name] = [];
+
+            const elementName = this.hasElement(name) || !this.hasElement(name + '[]') ? name : name + '[]';
+            const element = this.hasElement(elementName) ? this.getElement(elementName) : null;
+
+            if (element && this._isElementDisabled(element)) {
+                continue;
+            }
+
+            const value = values.hasOwnProperty(elementName) ? values[elementName] : null;
+            const messages = this._validator.validate(name, value, element);
+
+            if (messages.length > 0) {
+                errors[name] = messages;
+                valid = false;
+            }
+        }
+
+        this._setElementsErrors(errors);
+
+        if (!valid) {
+            this._emit('invalid', { errors: this.getErrors() });
+        }
+
+        return valid;
+    }
+
+    /**
+     * Checks whether the form has no errors. Note: the form must be validated first.
+     *
+     * @return {boolean}
+     */
+    isValid() {
+        return Object.keys(this._errors).length === 0;
+    }
+
+    /**
+     * Sets the renderer displaying error messages of the form elements.
+     *
+     * @param {ErrorRenderer|{render: function, clear: function}|null} renderer
+     *        See lib/renderer/ for the available renderers.
+     *
+     * @return {Form}
+     */
+    setErrorRenderer(renderer) {
+        if (renderer !== null && (typeof renderer.render !== 'function' || typeof renderer.clear !== 'function')) {
+            throw new TypeError('Invalid error renderer. Expected object with "render" and "clear" methods.');
+        }
+
+        const errors = this.getErrors();
+
+        for (const name in errors) {
+            this._setElementErrors(name, [], false);
+        }
+
+        this._errorRenderer = renderer;
+        this._setElementsErrors(errors);
+
+        return this;
+    }
+
+    /**
+     * Sets errors of the form elements, e.g. validation errors returned by the server.
+     * Errors with path not matching any of the form elements are set as the form errors (with empty name).
+     *
+     * @param {[]|{}} errors The list of violations [{propertyPath: "user.address.city", message: "..."}, ...],
+     *                       object {violations: [...]} or nested object {user: {address: {city: ["..."]}}}.
+     *                       See lib/validation/violations.js for the supported formats.
+     *
+     * @return {Form}
+     */
+    setErrors(errors) {
+        const elementErrors = {};
+
+        // The current errors are removed.
+        for (const name in this._errors) {
+            elementErrors[name] = [];
+        }
+
+        for (const violation of normalizeViolations(errors)) {
+            const name = this._resolveElementNameFromPath(violation.path);
+
+            if (!elementErrors.hasOwnProperty(name)) {
+                elementErrors[name] = [];
+            }
+
+            elementErrors[name].push(violation.message);
+        }
+
+        this._setElementsErrors(elementErrors);
+
+        return this;
+    }
+
+    /**
+     * Removes errors of the form elements.
+     *
+     * @param {string} [name] The form element name. If not specified, all errors are removed.
+     *
+     * @return {Form}
+     */
+    clearErrors(name) {
+        const names = name !== undefined ? [this._prepareElementName(name)] : Object.keys(this._errors);
+        const errors = {};
+
+        for (const name of names) {
+            errors[name] = [];
+        }
+
+        this._setElementsErrors(errors);
+
+        return this;
+    }
+
+    /**
+     * Gets errors of the form elements.
+     *
+     * @param {string} [name] The form element name. If specified, only errors of that element are returned.
+     *
+     * @return {{}|string[]} An object with {"element-name": ["error message", ...]} pairs,
+     *                       or the list of error messages of the element with the given name.
+     *                       The form errors, not related to any element, are stored under empty name.
+     */
+    getErrors(name) {
+        if (name !== undefined) {
+            return (this._errors[this._prepareElementName(name)] || []).slice();
+        }
+
+        const errors = {};
+
+        for (const name in this._errors) {
+            errors[name] = this._errors[name].slice();
+        }
+
+        return errors;
+    }
+
+    /**
+     * Gets errors of the form elements as the list of violations with JSON pointer paths.
+     * The form errors (not related to any element) have empty path.
+     *
+     * @return {{path: string, name: string, message: string}[]} e.g. [{path: "/address/city", name: "user[address][city]", message: "..."}]
+     */
+    getViolations() {
+        const violations = [];
+
+        for (const name in this._errors) {
+            const path = name === '' ? '' : createJsonPointer(this._getElementPath(name) || [name]);
+
+            for (const message of this._errors[name]) {
+                violations.push({ path, name, message });
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Enables rendering the summary of the form errors, with links to the invalid elements.
+     * The summary is updated every time the errors change.
+     *
+     * @param {{}} [options] See the ErrorSummary class constructor.
+     *
+     * @return {Form}
+     */
+    enableErrorSummary(options) {
+        this.disableErrorSummary();
+        this._errorSummary = new ErrorSummary(options);
+        this._renderErrorSummary();
+
+        return this;
+    }
+
+    /**
+     * @return {Form}
+     */
+    disableErrorSummary() {
+        if (this._errorSummary) {
+            this._errorSummary.clear();
+            this._errorSummary = null;
+        }
+
+        return this;
+    }
+
+    /**
+     * Focuses the first (in the document order) enabled element with errors, or the error summary
+     * when only the form errors exist. Called after the submission is blocked by the invalid form.
+     * When the form is split into steps, the step containing the element is shown.
+     *
+     * @return {boolean} Whether an element has been focused.
+     */
+    focusFirstInvalid() {
+        const elements = [];
+
+        for (const name in this._errors) {
+            if (name !== '') {
+                elements.push(...this._getElementList(name).filter((element) => !this._isElementDisabled(element)));
+            }
+        }
+
+        elements.sort(compareDocumentPosition);
+
+        const summary = this._errorSummary ? this._errorSummary.getElement() : null;
+        const element = elements[0] || (this._errors.hasOwnProperty('') ? summary : null);
+
+        if (!element) {
+            return false;
+        }
+
+        if (this._steps && elements[0]) {
+            this._steps.showElement(element);
+        }
+
+        element.focus();
+
+        return true;
+    }
+
+    /**
+     * Enables announcing the results of the asynchronous submission (with submitAsync() method or the submit listener
+     * returning Promise) through the live region. The submission fails, when the Promise is rejected
+     * or resolved with not "ok" response. Messages are translated with the messages catalog (see lib/validation/messages.js).
+     *
+     * @param {{}} [options]
+     * @param {string|function} [options.success = "The form has been sent."] The message, or the function called
+     *                                                                         with the Promise result, returning the message.
+     * @param {string|function} [options.error = "The form could not be sent."] The message, or the function called
+     *                                                                          with the error or the response.
+     * @param {string} [options.politeness = "polite"] The "aria-live" attribute value: "polite" or "assertive".
+     *
+     * @return {Form}
+     */
+    enableAnnouncements(options = {}) {
+        this.disableAnnouncements();
+        this._announcements = {
+            region: new LiveRegion(this._form, { politeness: options.politeness }),
+            success: options.success !== undefined ? options.success : 'The form has been sent.',
+            error: options.error !== undefined ? options.error : 'The form could not be sent.'
+        };
+
+        return this;
+    }
+
+    /**
+     * @return {Form}
+     */
+    disableAnnouncements() {
+        if (this._announcements) {
+            this._announcements.region.destroy();
+            this._announcements = null;
+        }
+
+        return this;
+    }
+
+    /**
+     * Gets manager of the collection (repeatable) fields, e.g. "items[0][name]", "items[1][name]".
+     * Rows of the collection are created from the "data-prototype" template.
+     *
+     * @param {string} name The collection name e.g. "items" or "order[items]".
+     * @param {{}} [options] The collection options. See the Collection class constructor. When given, the previous
+     *                       manager of the collection is replaced (and its row constraints are removed).
+     *
+     * @return {Collection}
+     */
+    collection(name, options) {
+        name = this._prepareElementName(name);
+
+        if (!this._collections.hasOwnProperty(name) || options) {
+            if (this._collections.hasOwnProperty(name)) {
+                this._collections[name].destroy();
+            }
+
+            this._collections[name] = new Collection(this, name, options, (elements) => this._bindElementListeners(elements));
+        }
+
+        return this._collections[name];
+    }
+
+    /**
+     * Creates the date field of the input element. The element value is got by the getData() method in typed mode
+     * as the Date object, and may be set by the setData() method with the Date object.
+     *
+     *     form.dateField('birth_date', { format: 'd.m.Y', adapter: new JqueryUiDateAdapter() });
+     *
+     * @param {string} name The form element name.
+     * @param {{}} [options] The DateField options: "format", "syntax", "adapter", "min", "max", "names".
+     *
+     * @return {DateField}
+     */
+    dateField(name, options = {}) {
+        name = this._prepareElementName(name);
+
+        if (this._dateFields.hasOwnProperty(name)) {
+            this._dateFields[name].destroy();
+        }
+
+        const field = new DateField(this.getElement(name), options);
+        this._dateFields[name] = field;
+        this.setValueConverter(name, field.getConverter());
+
+        return field;
+    }
+
+    /**
+     * Creates the range of two date fields. Adds validation constraints of the range to the fields,
+     * and validates both fields every time the date of one of them changes, so the range errors are displayed
+     * with the error renderer.
+     *
+     *     form.dateRange('from', 'to', { allowFuture: false, maxSpan: 90, preset: 'last7Days' });
+     *
+     * @param {string} fromName The name of the start date element.
+     * @param {string} toName The name of the end date element.
+     * @param {{}} [options] The DateRange options: "allowFuture", "allowSameDay", "maxSpan", "min", "max",
+     *                       "presets", "preset", "from", "to", "messages".
+     *                       Elements without the date field, get the date field with default options.
+     *
+     * @return {DateRange}
+     */
+    dateRange(fromName, toName, options) {
+        fromName = this._prepareElementName(fromName);
+        toName = this._prepareElementName(toName);
+
+        const range = new DateRange(
+            this._dateFields[fromName] || this.dateField(fromName),
+            this._dateFields[toName] || this.dateField(toName),
+            options
+        );
+        const validate = () => this.validate([fromName, toName]);
+
+        this.addConstraints({
+            [fromName]: [range.createConstraint('from')],
+            [toName]: [range.createConstraint('to')]
+        });
+        this.addElementListener('change', fromName, validate, { preventDefault: false });
+        this.addElementListener('change', toName, validate, { preventDefault: false });
+        this._dateRanges.push(range);
+
+        return range;
+    }
+
+    /**
+     * Splits the form into steps (wizard). Only the current step is shown, but the form data (getData() method)
+     * contains values of all steps. Submitting the form (e.g. with the Enter key) before the last step,
+     * goes to the next step. On the last step, all steps are validated before the submission, and when the form
+     * is invalid, the step with the first invalid element is shown. The saved progress is removed after successful
+     * submission (or with the clearPersisted() method).
+     *
+     *     const steps = form.steps(['#step-1', '#step-2', '#step-3'], { persist: true });
+     *     steps.next();
+     *
+     * Emits the events "beforeStepChange" (cancellable) and "stepChange" with properties "from" and "to" (step indexes).
+     *
+     * @param {(HTMLElement|string)[]} steps The step container elements or CSS selectors.
+     * @param {{}} [options] See the Steps class constructor.
+     *
+     * @return {Steps}
+     */
+    steps(steps, options) {
+        if (this._steps) {
+            this._steps.destroy();
+        }
+
+        this._steps = new Steps(this, steps, options, (type, data) => this._emit(type, data));
+
+        return this._steps;
+    }
+
+    /**
+     * @return {Steps|null} The form steps, created with the steps() method.
+     */
+    getSteps() {
+        return this._steps;
+    }
+
+    /**
+     * Creates rule showing, hiding, enabling, disabling or requiring form elements, depending on the element value.
+     * Rules are evaluated when the element value changes, and after setting or resetting the form data.
+     *
+     *     form.when('type').equals('company').show('company_name').require('vat_id');
+     *
+     * @param {string} name The form element name.
+     * @param {{}} [options] The rule options. See the ConditionalRule class constructor.
+     *
+     * @return {ConditionalRule}
+     */
+    when(name, options) {
+        const rule = new ConditionalRule(this, name, options);
+        const evaluate = () => rule.evaluate();
+
+        this.addElementListener('change', name, evaluate, { preventDefault: false });
+        this.addElementListener('input', name, evaluate, { preventDefault: false });
+        this._rules.push(rule);
+
+        return rule;
+    }
+
+    /**
+     * Makes the "select" element dependent on the other element. Options of the "select" element
+     * are loaded every time value of the parent element changes. Elements may be chained e.g. country → region → city.
+     *
+     * @param {string} parentName The parent element name.
+     * @param {string} childName The dependent "select" element name.
+     * @param {function} loader The function returning choices (or Promise resolved with choices) for the parent value.
+     * @param {{}} [options] See the CascadingSelect class constructor.
+     *
+     * @return {CascadingSelect}
+     */
+    cascade(parentName, childName, loader, options) {
+        const cascade = new CascadingSelect(this, parentName, childName, loader, options, (type, data) => this._emit(type, data));
+
+        this.addElementListener('change', parentName, () => cascade.handleParentChange(), { preventDefault: false });
+        this._cascades.push(cascade);
+
+        return cascade;
+    }
+
+    /**
+     * Calls specified function for the all of form elements.
+     *
+     * @param {function} fn The function to call with all of form elements.
+     *                          Argument passed to the function: {Node|NodeList} element The form element.
+     * @param {object} [fnContext = null]
+     */
+    callElementsFunction(fn, fnContext = null) {
+        for (const element of this._elements) {
+            fn.call(fnContext, element, this._elements);
+        }
+    }
+
+    /**
+     * Creates HTTP request with form properties.
+     *
+     * @param {boolean} [skipEmptyValue = false] Whether to not include elements with empty value.
+     * @param {{}} [extraData] Extra (serialized) data to add, to the GET request query and POST request parameters.
+     *                         Files are not included in the request query string.
+     *
+     * @return {HttpRequest}
+     */
+    createHttpRequest(skipEmptyValue, extraData = {}) {
+        // The data includes the name and value of the submitter button, while the form is being submitted.
+        const data = Object.assign(this.getData(skipEmptyValue), extraData);
+
+        return new HttpRequest(this.getMethod(), this.getAction(), data, this.getEnctype());
+    }
+
+    /**
+     * Sends the form data with asynchronous HTTP request.
+     * With "multipart/form-data" encoding type the files of the "input[type=file]" elements are sent.
+     * Emits the "beforeSubmit" event (unless called by the submit listener), and the "submitSuccess"
+     * or "submitError" event. The request is not sent, when the "beforeSubmit" event is cancelled or the form
+     * is invalid (the returned Promise is rejected with "AbortError" or "ValidationError"), or another request
+     * sent by this method is pending (the Promise is rejected with "AbortError").
+     * The form is in submitting state until the request is completed.
+     *
+     * @param {{}}      [options] The HttpRequest.send() method options and the following:
+     * @param {boolean} [options.skipEmptyValue = false] Whether to not include elements with empty value.
+     * @param {{}}      [options.extraData] Extra (serialized) data to send.
+     *
+     * @return {Promise<Response>}
+     */
+    submitAsync(options = {}) {
+        if (this._submission && this._submission.sending) {
+            return Promise.reject(new DOMException('The form is already being submitted.', 'AbortError'));
+        }
+
+        if (!this._canSubmit(this._handlingSubmit)) {
+            const error = this.isValid()
+                ? new DOMException('The form submission was cancelled.', 'AbortError')
+                : Object.assign(new Error('The form is invalid.'), { name: 'ValidationError', errors: this.getErrors() });
+
+            return Promise.reject(error);
+        }
+
+        const promise = this.createHttpRequest(options.skipEmptyValue, options.extraData).send(options).then((response) => {
+            this._emit(response.ok ? 'submitSuccess' : 'submitError', { response });
+
+            return response;
+        }, (error) => {
+            this._emit('submitError', { error });
+
+            throw error;
+        });
+
+        this._trackSubmission(promise, this._getSubmitter());
+
+        const submission = this._submission;
+        const sent = () => {
+            submission.sending = false;
+        };
+
+        submission.sending = true;
+        promise.then(sent, sent);
+
+        return promise;
+    }
+
+    /**
+     * Checks whether the form is being submitted (the Promise returned by the submit listener
+     * or the submitAsync() method is pending).
+     *
+     * @return {boolean}
+     */
+    isSubmitting() {
+        return this._submission !== null;
+    }
+
+    /**
+     * Gets form element values as FormData object. The field names are the same as in the "multipart/form-data"
+     * request body sent by the submitAsync() method (see the HttpRequest createFormData() function),
+     * e.g. "tags[]" for the multiple values and files.
+     *
+     * @param {boolean} [skipEmptyValues = false] Whether to not include elements with empty value.
+     *
+     * @return {FormData}
+     */
+    getFormData(skipEmptyValues = false) {
+        return createFormData(this.getData({ skipEmptyValues }));
+    }
+
+    /**
+     * Gets form element values. Values of the "input[type=file]" elements are File objects
+     * (or FileList objects, when the element has "multiple" attribute).
+     *
+     * In typed mode the values are converted with the converter set by the setValueConverter() method,
+     * or according to the element "data-type" attribute ("string", "integer", "number", "boolean", "date", "datetime")
+     * or the element type: "number" and "range" inputs into numbers, "date" and "datetime-local" inputs into Date objects
+     * and single checkboxes into booleans. Empty values of the numeric, boolean and date elements are converted into null,
+     * while empty values of the text elements stay empty strings.
+     *
+     * Like the browser does, the data includes the name and value of the button that submitted the form,
+     * while the form is being submitted. The button may be specified with the "submitter" option.
+     *
+     * @param {boolean|{}} [skipEmptyValues = false] Whether to not include elements with empty value.
+     *                                               Or the object with options: "skipEmptyValues", "serialized",
+     *                                               "typed", "submitter".
+     * @param {boolean} [serialized = true] Whether to get serialized data.
+     * @param {boolean} [typed = false] Whether to get typed values.
+     *
+     * @return {{}} An object with {"element-name": "value"} pairs or object with serialized data.
+     */
+    getData(skipEmptyValues = false, serialized = true, typed = false) {
+        let submitter = this._getSubmitter();
+
+        if (skipEmptyValues !== null && typeof skipEmptyValues === 'object') {
+            ({ skipEmptyValues = false, serialized = true, typed = false, submitter = submitter } = skipEmptyValues);
+        }
+
+        const elementValues = this._addSubmitterValue(this._getElementValues(skipEmptyValues, typed), submitter);
+
+        if (serialized !== true) {
+            return elementValues;
+        }
+
+        return serializeData(elementValues);
+    }
+
+    /**
+     * Sets values of the form elements.
+     * Values may be strings, numbers, booleans (set as "1" or "0", or check the single checkbox) and Date objects,
+     * or any values handled by the converter set with the setValueConverter() method. Null value clears the element
+     * (or all elements of the group e.g. {address: null} clears "address[city]" and "address[zip]").
+     * Values of the elements not included in the data are not changed in the "merge" mode,
+     * and are reset (as with the resetData() method) in the "replace" mode.
+     * Collection rows are added to fit the data. In the "replace" mode the surplus rows are removed
+     * (down to the collection minimum number of rows).
+     *
+     * @param {{}} data The form data. An object with {"element-name": "value"} pairs or object with serialized form data.
+     * @param {boolean|{}} [options = true] Whether the passed data is a serialized form data, or the object with options:
+     * @param {boolean} [options.serialized = true] Whether the passed data is a serialized form data.
+     * @param {string}  [options.mode = "merge"] One of "merge", "replace".
+     * @param {boolean} [options.resetHidden = true] Whether to reset the hidden inputs in the "replace" mode.
+     * @param {boolean} [options.strict = true] Whether to throw an error, when the value does not fit the element.
+     *                                          Otherwise the value is skipped.
+     *
+     * @throws TypeError when the value does not fit the element, e.g. array for the text input,
+     *                   object for the single element or scalar value for the group of elements.
+     */
+    setData(data, options = true) {
+        const { serialized = true, mode = 'merge', resetHidden, strict = true } = options !== null && typeof options === 'object'
+            ? options
+            : { serialized: options };
+
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new TypeError(`Invalid form data. Expected object, but got "${Array.isArray(data) ? 'array' : typeof data}".`);
+        }
+
+        if (setDataModes.indexOf(mode) === -1) {
+            throw new TypeError(`Invalid setData mode "${mode}". Expected one of "${setDataModes.join('", "')}".`);
+        }
+
+        const originalData = data;
+
+        if (serialized === true) {
+            if (this._elementNamePrefix && !data.hasOwnProperty(this._elementNamePrefix)) {
+                data = {[this._elementNamePrefix]: data};
+            }
+
+            this._fitCollections(data, mode === 'replace');
+            data = flatten(nullifyEmptyArrays(data));
+        } else {
+            const prepared = {};
+
+            for (const name in data) {
+                prepared[this._prepareElementName(name)] = data[name];
+            }
+
+            this._fitCollections(serializeData(prepared), mode === 'replace');
+            data = prepared;
+        }
+
+        data = this._matchElementData(data, strict);
+        const previousValues = this._getValuesBeforeChange();
+
+        if (mode === 'replace') {
+            this._resetElements(Object.keys(data), resetHidden);
+        }
+
+        this._setElementValues(this._elements, data);
+        this._evaluateRules();
+        this._reloadCascades(data);
+        this._updateDirtyState();
+        this._emitChanges(previousValues, 'setData');
+        this._emit('afterSetData', { data: originalData, mode });
+    }
+
+    /**
+     * Sets values of the form elements to empty.
+     *
+     * @param {[]} [preserveElements] The list of element names, which should not be reset.
+     * @param {boolean} [resetHidden = true] Whether to reset input elements with type of "hidden".
+     */
+    resetData(preserveElements = [], resetHidden) {
+        const previousValues = this._getValuesBeforeChange();
+
+        this._resetElements(preserveElements.map(this._prepareElementName.bind(this)), resetHidden);
+        this._evaluateRules();
+        this._updateDirtyState();
+        this._emitChanges(previousValues, 'resetData');
+        this._emit('afterReset');
+    }
+
+    /**
+     * Gets form element value, in the same form as the getData() method returns in not serialized mode.
+     * Element name may be specified without "[]" suffix of the multiple choice elements.
+     *
+     * @param {string} name The form element name.
+     * @param {boolean} [typed = false] Whether to get typed value.
+     *
+     * @return {*} The element value or undefined, when the element has no value (e.g. is disabled).
+     */
+    getElementValue(name, typed = false) {
+        name = this._prepareElementName(name);
+        const values = this._getElementValues(false, typed);
+
+        return values.hasOwnProperty(name) ? values[name] : values[name + '[]'];
+    }
+
+    /**
+     * Sets form element value.
+     *
+     * @param {string} name The form element name.
+     * @param {string|number|boolean} value
+     */
+    setElementValue(name, value) {
+        const previousValues = this._getValuesBeforeChange();
+        const element = this.getElement(name);
+        // Radio and checkbox groups are returned as RadioNodeList.
+        const elements = element instanceof HTMLElement ? [element] : Array.from(element);
+        const elementName = elements[0].name;
+
+        this._checkValueShape(elementName, value);
+        this._setElementValues(elements, {[elementName]: value});
+        this._evaluateRules();
+        this._updateDirtyState();
+        this._emitChanges(previousValues, 'setElementValue');
+    }
+
+    /**
+     * Sets converter of the form element value, used by the getData() method in typed mode and the setData() method.
+     *
+     * @param {string} name The form element name.
+     * @param {{parse: function, format: function}|string|null} converter The converter object with methods:
+     *        - parse(value, element) Converts element value into typed value.
+     *        - format(value, element) Converts typed value into element value.
+     *        Or the built-in converter name: "string", "integer", "number", "boolean", "date", "datetime".
+     *        Null removes the converter.
+     *
+     * @return {Form}
+     */
+    setValueConverter(name, converter) {
+        name = this._prepareElementName(name);
+
+        if (converter === null) {
+            delete this._valueConverters[name];
+
+            return this;
+        }
+
+        if (typeof converter === 'string') {
+            converter = converters[getConverterName(converter)];
+        }
+
+        if (!converter || typeof converter.parse !== 'function' || typeof converter.format !== 'function') {
+            throw new TypeError(`Invalid value converter for element with name "${name}". Expected object with "parse" and "format" methods.`);
+        }
+
+        this._valueConverters[name] = converter;
+
+        return this;
+    }
+
+    /**
+     * Sets options of the "select" element.
+     *
+     * @param {string} name The name of "select" element.
+     * @param {{}|[]} choices The select options data. Object with pairs: "value: label"
+     *                        (object value is an option group with pairs "value: label" and key as group label),
+     *                        or ordered array of choices:
+     *                        - {value: string, label: string, disabled: boolean}
+     *                        - [value, label]
+     *                        - {label: string, choices: [...], disabled: boolean} The option group.
+     * @param {boolean} [preserveSelected = false] Whether to preserve selected options (if still exist).
+     * @param {{}}      [options]
+     * @param {string}  [options.placeholder] Label of the option with empty value, added as first option.
+     */
+    setSelectOptions(name, choices, preserveSelected, options = {}) {
+        const element = this.getElement(name);
+
+        if (element.type === 'select-one' || element.type === 'select-multiple') {
+            const selectedValues = [];
+
+            for (const option of element.options) {
+                if (option.selected == true) {
+                    selectedValues.push(option.value);
+                }
+            }
+
+            while (element.firstChild) {
+                element.removeChild(element.firstChild);
+            }
+
+            if (typeof options.placeholder === 'string') {
+                element.appendChild(createOption({ value: '', label: options.placeholder }));
+            }
+
+            for (const choice of normalizeChoices(choices)) {
+                if (choice.choices) {
+                    const group = document.createElement('optgroup');
+                    group.label = choice.label;
+                    group.disabled = choice.disabled === true;
+
+                    for (const item of choice.choices) {
+                        group.appendChild(createOption(item));
+                    }
+
+                    element.appendChild(group);
+                } else {
+                    element.appendChild(createOption(choice));
+                }
+            }
+
+            if (preserveSelected === true) {
+                for (const option of element.options) {
+                    if (!option.disabled && selectedValues.indexOf(option.value) !== -1) {
+                        option.selected = true;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Gets form elements values.
+     *
+     * @param {boolean} [skipEmptyValues = false]
+     * @param {boolean} [typed = false] Whether to convert the values into typed values.
+     *
+     * @return {{}} An object with {"element-name": "value"} pairs.
+     */
+    _getElementValues(skipEmptyValues, typed) {
+        const data = {};
+
+        if (typed === true) {
+            this._applyJsonSchema();
+        }
+
+        for (const element of this._elements) {
+            let value = element.value;
+            const name = element.name;
+            const type = element.type;
+
+            if (!name || element.nodeName === 'BUTTON' || buttonTypes.indexOf(type) !== -1 || element.disabled) {
+                continue;
+            }
+
+            if (type === 'file') {
+                value = element.multiple ? element.files : (element.files[0] || null);
+            } else if (type === 'select-multiple') {
+                value = [];
+
+                for (const option of element.selectedOptions) {
+                    value.push(option.value);
+                }
+            } else if (type === 'checkbox') {
+                if (data.hasOwnProperty(name)) {
+                    continue;
+                }
+
+                let elementList = this.getElement(name);
+
+                if (elementList instanceof RadioNodeList) {
+                    value = [];
+
+                    for (const elem of elementList) {
+                        if (elem.checked) {
+                            value.push(elem.value);
+                        }
                     }
                 } else if (/\[\]$/.test(name)) {
                     value = element.checked ? [value]: [];
                 } else if (!element.checked) {
-                    //value = '';
+                    if (typed !== true) {
+                        continue;
+                    }
+
+                    value = null;
+                }
+            } else if (type === 'radio') {
+                if (data.hasOwnProperty(name)) {
+                    continue;
+                }
+
+                let elementList = this.getElement(name);
+
+                if (elementList instanceof RadioNodeList) {
+                    value = '';
+
+                    for (const elem of elementList) {
+                        if (elem.checked) {
+                            value = elem.value;
+
+                            break;
+                        }
+                    }
+                }
+            }
+
+            if (skipEmptyValues === true && isEmptyValue(value)) {
+                continue;
+            }
+
+            if (typed === true && type !== 'file') {
+                value = this._parseElementValue(element, value);
+            }
+
+            data[name] = value;
+        }
+
+        return data;
+    }
+
+    /**
+     * Sets form elements. Depend on element type: sets values, checks radio or checkbox element,
+     * or selects the select options.
+     *
+     * @param {[]} elements
+     * @param {{}} data The form data with { "element-name": "value" } pairs.
+     */
+    _setElementValues(elements, data) {
+        let value;
+
+        for (let element of elements) {
+            if ((value = data[element.name]) === undefined) {
+                continue;
+            }
+
+            if (element.type === 'checkbox' && typeof value === 'boolean' && !this._valueConverters[element.name]) {
+                element.checked = value;
+
+                continue;
+            }
+
+            if (element.type !== 'file') {
+                value = this._formatElementValue(element, value);
+            }
+
+            switch (element.type) {
+                case 'submit':
+                case 'reset':
+                case 'button':
+                    break;
+
+                case 'select-one':
+                case 'select-multiple':
+                    if (!Array.isArray(value)) {
+                        value = [value];
+                    }
+
+                    element.selectedIndex = -1;
+                    const optionsLength = element.options.length;
+
+                    for (let i = 0; i < optionsLength; i++) {
+                        const option = element.options[i];
+
+                        for (let val of value) {
+                            if (val == option.value) {
+                                option.selected = true;
+                            }
+                        }
+                    }
+
+                    break;
+                case 'radio':
+                case 'checkbox':
+                    element.checked = false;
+
+                    if (!Array.isArray(value)) {
+                        value = [value];
+                    }
+
+                    for (let val of value) {
+                        if (val == element.value) {
+                            element.checked = true;
+                        }
+                    }
+
+                    break;
+                case 'file':
+                    // Files cannot be set programmatically, only cleared.
+                    if (!value || value.length === 0) {
+                        element.value = '';
+                    }
+
+                    break;
+                default:
+                    element.value = value;
+            }
+        }
+    }
+
+    /**
+     * Resets values of the form elements.
+     *
+     * @param {string[]} preserveElements The names of the elements, which should not be reset.
+     * @param {boolean} [resetHidden = true] Whether to reset input elements with type of "hidden".
+     * @private
+     */
+    _resetElements(preserveElements, resetHidden) {
+        for (const element of this._elements) {
+            const type = element.type;
+
+            if (preserveElements.indexOf(element.name) !== -1 || (type === 'hidden' && resetHidden === false)) {
+                continue;
+            }
+
+            if (element.nodeName === 'SELECT') {
+                for (const option of element.options) {
+                    option.selected = false;
+                }
+            } else if (element.nodeName !== 'BUTTON' && buttonTypes.indexOf(type) === -1) {
+                if (type === 'radio' || type === 'checkbox') {
+                    element.checked = false;
+                } else {
+                    element.value = '';
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolves names of the form elements for the keys of the flat data. Keys of the multiple choice elements
+     * may be specified with or without "[]" suffix, and the array value is set to the indexed elements
+     * e.g. "tags[0]", "tags[1]". Null value of the group clears all elements of the group.
+     *
+     * @param {{}} data The data with {"element-name": "value"} pairs.
+     * @param {boolean} strict Whether to throw an error, when the value does not fit the element.
+     *
+     * @return {{}} The data with names of the existing elements.
+     * @throws TypeError
+     * @private
+     */
+    _matchElementData(data, strict) {
+        const names = [];
+        const matched = {};
+
+        for (const element of this._elements) {
+            if (element.name && names.indexOf(element.name) === -1) {
+                names.push(element.name);
+            }
+        }
+
+        for (const key in data) {
+            const value = data[key];
+            const base = key.replace(/\[\]$/, '');
+            const name = [key, base, base + '[]'].find((name) => names.indexOf(name) !== -1);
+
+            try {
+                if (name !== undefined) {
+                    this._checkValueShape(name, value);
+                    matched[name] = value;
+
+                    continue;
+                }
+
+                const children = names.filter((name) => name.indexOf(base + '[') === 0);
+
+                if (children.length > 0) {
+                    if (value === null) {
+                        for (const child of children) {
+                            matched[child] = null;
+                        }
+                    } else if (Array.isArray(value) && names.indexOf(base + '[0]') !== -1) {
+                        value.forEach(function (item, index) {
+                            if (names.indexOf(`${base}[${index}]`) !== -1) {
+                                matched[`${base}[${index}]`] = item;
+                            }
+                        });
+                    } else {
+                        throw new TypeError(`Invalid value for the elements "${children.join('", "')}". `
+                            + `Expected object or null, but got ${describeValue(value)}.`);
+                    }
+
                     continue;
                 }
-            } else if (type === 'radio') {
-                if (data.hasOwnProperty(name)) {
-                    continue;
+
+                // The value is nested deeper than the element e.g. "address[city][name]" for "address[city]".
+                for (let ancestor = base, parent; (parent = ancestor.replace(/\[[^\[\]]*\]$/, '')) !== ancestor; ancestor = parent) {
+                    if (names.indexOf(parent) !== -1 || names.indexOf(parent + '[]') !== -1) {
+                        throw new TypeError(`Invalid value for the element "${parent}". Expected scalar value, but got object.`);
+                    }
+                }
+            } catch (error) {
+                if (strict !== false) {
+                    throw error;
+                }
+            }
+        }
+
+        return matched;
+    }
+
+    /**
+     * @param {string} name The element name.
+     * @param {*} value
+     *
+     * @throws TypeError when the value does not fit the element.
+     * @private
+     */
+    _checkValueShape(name, value) {
+        const elements = this._getElementList(name);
+
+        if (value === null || value === undefined || elements.length === 0 || this._valueConverters[name]) {
+            return;
+        }
+
+        const type = elements[0].type;
+
+        if (type === 'file') {
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            if (!/\[\]$/.test(name) && type !== 'select-multiple' && !(type === 'checkbox' && elements.length > 1)) {
+                throw new TypeError(`Invalid value for the element "${name}". Expected scalar value, but got array.`);
+            }
+        } else if (typeof value === 'object' && !(value instanceof Date)) {
+            throw new TypeError(`Invalid value for the element "${name}". Expected scalar value, but got object.`);
+        }
+    }
+
+    /**
+     * Registers the form listeners, emitting the form events and blocking the submission of the invalid form.
+     *
+     * @private
+     */
+    _addFormListeners() {
+        if (!this._formListener) {
+            this._formListener = (e) => {
+                if (e.type === 'submit') {
+                    if (this._submission) {
+                        // Ignore re-entrant submit.
+                        e.preventDefault();
+                        e.stopImmediatePropagation();
+                    } else if (!this._canSubmit(e)) {
+                        e.preventDefault();
+                    } else if (this._steps) {
+                        // The form is submitted natively, unless the submission is prevented by another listener.
+                        setTimeout(() => {
+                            if (!e.defaultPrevented && this._steps) {
+                                this._steps.clearProgress();
+                            }
+                        });
+                    }
+                } else if (e.type === 'reset') {
+                    // Values are reset after the event is dispatched.
+                    setTimeout(() => {
+                        if (!e.defaultPrevented) {
+                            this._evaluateRules();
+                            this._emit('afterReset');
+                        }
+                    });
+                } else if (e.target.name && this._hasHandlers(e.type)) {
+                    this._emit(e.type, {
+                        name: e.target.name,
+                        value: this.getElementValue(e.target.name),
+                        element: e.target,
+                        source: 'user'
+                    });
+                }
+            };
+        }
+
+        for (const event of ['submit', 'reset', 'change', 'input']) {
+            this._form.removeEventListener(event, this._formListener);
+            this._form.addEventListener(event, this._formListener);
+        }
+    }
+
+    /**
+     * Emits the "beforeSubmit" event and validates the form, once per submit event.
+     *
+     * @param {Event|null} event The submit event.
+     *
+     * @return {boolean} Whether the form can be submitted.
+     * @private
+     */
+    _canSubmit(event) {
+        if (event && this._submitResults.has(event)) {
+            return this._submitResults.get(event);
+        }
+
+        if (event && this._steps && !this._steps.isLast()) {
+            this._steps.next();
+            this._submitResults.set(event, false);
+
+            return false;
+        }
+
+        const beforeSubmit = this._emit('beforeSubmit', {
+            submitter: event ? event.submitter || null : null,
+            originalEvent: event
+        });
+        // The steps restored from the storage or shown without validation may contain invalid elements.
+        const result = !beforeSubmit.isDefaultPrevented() && (!this._steps || this._steps.validate())
+            && (!this._validator.hasConstraints() || this.validate());
+
+        if (!result && !this.isValid()) {
+            this.focusFirstInvalid();
+        }
+
+        if (event) {
+            this._submitResults.set(event, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * @param {string} type
+     * @param {{}} [data] The event properties.
+     *
+     * @return {FormEvent}
+     * @private
+     */
+    _emit(type, data) {
+        const event = new FormEvent(type, this, data);
+
+        for (const handler of (this._handlers[type] || []).slice()) {
+            handler.call(this, event);
+        }
+
+        return event;
+    }
+
+    /**
+     * @param {string} type
+     *
+     * @return {boolean}
+     * @private
+     */
+    _hasHandlers(type) {
+        return this._handlers.hasOwnProperty(type) && this._handlers[type].length > 0;
+    }
+
+    /**
+     * Emits the "change" events for the elements, which values have been changed programmatically.
+     *
+     * @param {{}|null} previousValues The element values before the change.
+     * @param {string} source The name of the method changing the values.
+     * @private
+     */
+    _emitChanges(previousValues, source) {
+        if (previousValues === null) {
+            return;
+        }
+
+        const values = this._getElementValues(false);
+        const names = Object.keys(values).concat(Object.keys(previousValues).filter((name) => !values.hasOwnProperty(name)));
+
+        for (const name of names) {
+            if (!valuesEqual(values[name], previousValues[name])) {
+                const element = this.getElement(name);
+
+                this._emit('change', {
+                    name,
+                    value: values[name],
+                    element: element instanceof NodeList ? element[0] : element,
+                    source
+                });
+            }
+        }
+    }
+
+    /**
+     * @return {{}|null} The element values, or null when there are no "change" event listeners.
+     * @private
+     */
+    _getValuesBeforeChange() {
+        return this._hasHandlers('change') ? this._getElementValues(false) : null;
+    }
+
+    /**
+     * Registers element listeners (added with the addElementListener() method) to the new form elements.
+     *
+     * @param {HTMLElement[]} elements
+     * @private
+     */
+    _bindElementListeners(elements) {
+        for (const item of this._eventData) {
+            if (item.options.delegate === true) {
+                continue;
+            }
+
+            const matched = Array.prototype.filter.call(this.getElements(item.name), (element) => elements.indexOf(element) !== -1);
+
+            if (matched.length > 0) {
+                this._addElementListener(matched, item);
+            }
+        }
+    }
+
+    /**
+     * @param {{listener: function, options: {}}} item
+     * @private
+     */
+    _addSubmitListener(item) {
+        const self = this;
+        const { listener, options } = item;
+        const handler = function (e) {
+            if (options.preventDefault !== false) {
+                e.preventDefault();
+            }
+
+            if (!self._canSubmit(e)) {
+                return;
+            }
+
+            let result;
+            self._handlingSubmit = e;
+
+            try {
+                result = listener.apply(options.context || self, [e.submitter, ...(options.arguments || [])]);
+            } finally {
+                self._handlingSubmit = null;
+            }
+
+            if (result && typeof result.then === 'function') {
+                self._trackSubmission(result, e.submitter || null);
+            }
+        };
+
+        unbind(item);
+        this._form.addEventListener('submit', handler);
+        item.bindings = [{ element: this._form, event: 'submit', handler }];
+    }
+
+    /**
+     * Keeps the form in submitting state until the Promise is settled.
+     * Disables the submit buttons, when the submitting starts, and restores them when all tracked Promises are settled.
+     *
+     * @param {Promise} promise
+     * @param {HTMLElement|null} submitter
+     * @private
+     */
+    _trackSubmission(promise, submitter) {
+        if (!this._submission) {
+            this._submission = {
+                submitter,
+                pending: 0,
+                sending: false,
+                buttons: this._disableSubmitButtons(submitter),
+                result: undefined,
+                failed: false
+            };
+        }
+
+        const submission = this._submission;
+        const complete = (failed, result) => {
+            if (failed || !submission.failed) {
+                submission.failed = failed;
+                submission.result = result;
+            }
+
+            if (--submission.pending === 0 && this._submission === submission) {
+                restoreButtons(submission.buttons);
+                this._submission = null;
+                this._announceSubmission(submission);
+
+                if (!submission.failed && this._steps) {
+                    this._steps.clearProgress();
+                }
+            }
+        };
+
+        submission.pending++;
+        promise.then((result) => complete(!!result && result.ok === false, result), (error) => complete(true, error));
+    }
+
+    /**
+     * @param {HTMLElement|null} submitter The button that submitted the form.
+     *
+     * @return {{element: HTMLElement, disabled: boolean, label: string|null}[]} The original state of the buttons.
+     * @private
+     */
+    _disableSubmitButtons(submitter) {
+        const elements = Array.prototype.filter.call(this._elements, (element) => element.type === 'submit');
+        const buttons = [];
+
+        if (submitter && elements.indexOf(submitter) === -1) {
+            elements.push(submitter);
+        }
+
+        for (const element of elements) {
+            const text = element.getAttribute('data-loading-text');
+            const button = { element, disabled: element.disabled, label: null };
+
+            if (text !== null && (!submitter || element === submitter)) {
+                if (element.nodeName === 'INPUT') {
+                    button.label = element.value;
+                    element.value = text;
+                } else {
+                    button.label = element.innerHTML;
+                    element.textContent = text;
+                }
+            }
+
+            element.disabled = true;
+            buttons.push(button);
+        }
+
+        return buttons;
+    }
+
+    /**
+     * @return {HTMLElement|null} The button that submitted the form, while the form is being submitted.
+     * @private
+     */
+    _getSubmitter() {
+        if (this._handlingSubmit) {
+            return this._handlingSubmit.submitter || null;
+        }
+
+        return this._submission ? this._submission.submitter : null;
+    }
+
+    /**
+     * Adds the submitter button name and value to the element values.
+     *
+     * @param {{}} values
+     * @param {HTMLElement|null} submitter
+     *
+     * @return {{}}
+     * @private
+     */
+    _addSubmitterValue(values, submitter) {
+        if (submitter && submitter.name && submitter.form === this._form) {
+            values[submitter.name] = submitter.value;
+        }
+
+        return values;
+    }
+
+    /**
+     * Removes listeners of the form element and the element listeners registered by the form.
+     *
+     * @private
+     */
+    _removeListeners() {
+        for (const item of this._eventData.concat(this._submitData)) {
+            unbind(item);
+        }
+
+        if (this._formListener) {
+            for (const event of ['submit', 'reset', 'change', 'input']) {
+                this._form.removeEventListener(event, this._formListener);
+            }
+        }
+
+        if (this._dirtyListener) {
+            for (const event of ['input', 'change', 'reset', 'submit']) {
+                this._form.removeEventListener(event, this._dirtyListener);
+            }
+        }
+
+        if (this._persistence) {
+            this._persistence.detach();
+        }
+
+        if (this._urlSync) {
+            this._urlSync.detach();
+        }
+
+        if (this._observer) {
+            this._observer.disconnect();
+        }
+    }
+
+    /**
+     * Registers element listeners to the added form elements, and unregisters them from the removed ones.
+     *
+     * @param {MutationRecord[]} mutations
+     * @private
+     */
+    _handleMutations(mutations) {
+        const added = [];
+        let removed = false;
+
+        for (const mutation of mutations) {
+            for (const node of mutation.addedNodes) {
+                added.push(...getFormElements(node));
+            }
+
+            removed = removed || mutation.removedNodes.length > 0;
+        }
+
+        if (removed) {
+            for (const item of this._eventData) {
+                item.bindings = item.bindings.filter((binding) => {
+                    if (binding.element === this._form || this._form.contains(binding.element)) {
+                        return true;
+                    }
+
+                    binding.element.removeEventListener(binding.event, binding.handler, binding.capture);
+
+                    return false;
+                });
+            }
+        }
+
+        if (added.length > 0) {
+            this._bindElementListeners(added);
+            this._evaluateRules();
+        }
+    }
+
+    /**
+     * @param {Node[]|NodeList} elements
+     * @param {{event: string, name: string, listener: function, options: {}}} item
+     * @private
+     */
+    _addElementListener(elements, item) {
+        const self = this;
+        const { listener, options } = item;
+        const handler = function (e) {
+            const element = options.delegate === true ? self._matchDelegatedTarget(e.target, item.name) : e.target;
+
+            if (!element) {
+                return;
+            }
+
+            if (options.preventDefault !== false) {
+                e.preventDefault();
+            }
+
+            listener.apply(options.context || self, [element, self._elements, ...(options.arguments || [])]);
+        };
+
+        item.bindings = item.bindings || [];
+
+        if (options.delegate === true) {
+            if (item.bindings.length === 0) {
+                const capture = nonBubblingEvents.indexOf(item.event) !== -1;
+                this._form.addEventListener(item.event, handler, capture);
+                item.bindings.push({ element: this._form, event: item.event, handler, capture });
+            }
+
+            return;
+        }
+
+        for (const element of elements) {
+            if (item.bindings.some((binding) => binding.element === element)) {
+                continue;
+            }
+
+            element.addEventListener(item.event, handler);
+            item.bindings.push({ element, event: item.event, handler });
+        }
+    }
+
+    /**
+     * Gets the form element being (or containing) the event target, if it matches the element name or CSS selector.
+     *
+     * @param {EventTarget} target
+     * @param {string} name The form element name or CSS selector.
+     *
+     * @return {Element|null}
+     * @private
+     */
+    _matchDelegatedTarget(target, name) {
+        const element = closestFormElement(target);
+
+        if (!element || !this._form.contains(element)) {
+            return null;
+        }
+
+        const elementName = this._prepareElementName(name);
+
+        if (element.name === elementName || element.name === elementName + '[]') {
+            return element;
+        }
+
+        try {
+            return element.matches(name) ? element : null;
+        } catch (e) {
+            // The name is not valid CSS selector.
+            return null;
+        }
+    }
+
+    /**
+     * Adds rows to the collections, to fit the collection data.
+     *
+     * @param {{}} data The serialized form data.
+     * @param {boolean} shrink Whether to remove the rows not included in the data.
+     * @private
+     */
+    _fitCollections(data, shrink) {
+        for (const name in this._collections) {
+            let value = data;
+
+            for (const key of name.match(/[^\[\]]+/g)) {
+                value = value !== null && typeof value === 'object' ? value[key] : undefined;
+            }
+
+            const indexes = value !== null && typeof value === 'object'
+                ? Object.keys(value).filter((key) => /^\d+$/.test(key)).map(Number)
+                : [];
+            const count = indexes.length > 0 ? Math.max(...indexes) + 1 : 0;
+
+            this._collections[name].grow(count);
+
+            if (shrink) {
+                this._collections[name].shrink(count);
+            }
+        }
+    }
+
+    /**
+     * Loads choices of the dependent "select" elements, which parent element value has been changed.
+     *
+     * @param {{}} data The form data with {"element-name": "value"} pairs.
+     * @private
+     */
+    _reloadCascades(data) {
+        for (const cascade of this._cascades) {
+            const name = this._prepareElementName(cascade.getChildName());
+            const value = data.hasOwnProperty(name) ? data[name] : data[name + '[]'];
+
+            if (cascade.isOutdated()) {
+                cascade.handleParentChange(value);
+            } else if (value !== undefined && String(value) !== String(this.getElementValue(name))) {
+                // Choices of the chained element are not loaded yet.
+                cascade.setPendingSelection(value);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _evaluateRules() {
+        for (const rule of this._rules) {
+            rule.evaluate();
+        }
+    }
+
+    /**
+     * Registers the form listeners updating the dirty state.
+     *
+     * @private
+     */
+    _addDirtyListener() {
+        if (!this._dirtyListener) {
+            this._dirtyListener = (e) => {
+                if (e.type === 'submit') {
+                    this._submitted = true;
+                    // The submission might be blocked by other listener.
+                    setTimeout(() => {
+                        this._submitted = !e.defaultPrevented;
+                    });
+                } else if (e.type === 'reset') {
+                    // Values are reset after the event is dispatched.
+                    setTimeout(() => this._updateDirtyState());
+                } else {
+                    this._updateDirtyState();
                 }
+            };
+        }
+
+        for (const event of ['input', 'change', 'reset', 'submit']) {
+            this._form.removeEventListener(event, this._dirtyListener);
+            this._form.addEventListener(event, this._dirtyListener);
+        }
+    }
+
+    /**
+     * Dispatches the "dirtychange" event, when the dirty state has been changed.
+     *
+     * @private
+     */
+    _updateDirtyState() {
+        if (this._snapshot === null) {
+            return;
+        }
+
+        const dirty = this.isDirty();
+
+        if (dirty !== this._dirty) {
+            this._dirty = dirty;
+            this._form.dispatchEvent(new CustomEvent('dirtychange', { detail: { dirty } }));
+            this._emit('dirtychange', { dirty });
+        }
+    }
+
+    /**
+     * Converts the element value into typed value.
+     *
+     * @param {HTMLElement} element
+     * @param {*} value The element value, or list of values of the multiple choice element.
+     *
+     * @return {*}
+     * @private
+     */
+    _parseElementValue(element, value) {
+        const converter = this._valueConverters[element.name];
+
+        if (!converter && element.type === 'checkbox' && !element.hasAttribute('data-type') && !Array.isArray(value)) {
+            return element.checked;
+        }
+
+        const parse = (value) => (converter || converters[resolveType(element)]).parse(value, element);
+
+        return Array.isArray(value) ? value.map(parse) : parse(value);
+    }
+
+    /**
+     * Converts the typed value into the element value.
+     *
+     * @param {HTMLElement} element
+     * @param {*} value
+     *
+     * @return {string|string[]}
+     * @private
+     */
+    _formatElementValue(element, value) {
+        const converter = this._valueConverters[element.name] || converters[resolveType(element)];
+        const format = (value) => converter.format(value, element);
+
+        return Array.isArray(value) ? value.map(format) : format(value);
+    }
+
+    /**
+     * Sets and renders error messages of the form elements, and renders the error summary once.
+     *
+     * @param {{}} errors The error messages with the element name (or empty string for the form errors) as key.
+     * @private
+     */
+    _setElementsErrors(errors) {
+        let changed = false;
+
+        for (const name in errors) {
+            changed = this._setElementErrors(name, errors[name], false) || changed;
+        }
+
+        if (changed) {
+            this._renderErrorSummary();
+        }
+    }
+
+    /**
+     * Sets and renders error messages of the form element.
+     *
+     * @param {string} name The form element name or empty string for the form errors.
+     * @param {string[]} messages
+     * @param {boolean} [renderSummary = true] Whether to render the error summary.
+     *
+     * @return {boolean} Whether the errors have been rendered (the element had or has errors).
+     * @private
+     */
+    _setElementErrors(name, messages, renderSummary = true) {
+        const hadErrors = this._errors.hasOwnProperty(name);
 
-                let elementList = this.getElement(name);
+        if (messages.length > 0) {
+            this._errors[name] = messages.slice();
+        } else {
+            delete this._errors[name];
+        }
 
-                if (elementList instanceof RadioNodeList) {
-                    value = '';
+        const renderer = this._errorRenderer;
 
-                    for (const elem of elementList) {
-                        if (elem.checked) {
-                            value = elem.value;
+        if (!hadErrors && messages.length === 0) {
+            return false;
+        }
 
-                            break;
-                        }
-                    }
+        if (renderSummary) {
+            this._renderErrorSummary();
+        }
+
+        if (name === '') {
+            if (renderer && typeof renderer.clearFormErrors === 'function') {
+                renderer.clearFormErrors(this._form);
+            }
+
+            if (renderer && messages.length > 0 && typeof renderer.renderFormErrors === 'function') {
+                renderer.renderFormErrors(this._form, messages);
+            }
+
+            return true;
+        }
+
+        const elements = this._getElementList(name);
+
+        if (renderer) {
+            renderer.clear(elements, name);
+
+            if (messages.length > 0) {
+                renderer.render(elements, messages, name);
+            }
+        }
+
+        setAriaErrors(elements, messages.length > 0);
+
+        return true;
+    }
+
+    /**
+     * Renders the error summary (if enabled) of the current errors.
+     *
+     * @private
+     */
+    _renderErrorSummary() {
+        if (!this._errorSummary) {
+            return;
+        }
+
+        const formErrors = [];
+        const elementErrors = [];
+
+        for (const name in this._errors) {
+            const elements = name === '' ? [] : this._getElementList(name);
+
+            for (const message of this._errors[name]) {
+                if (elements.length > 0) {
+                    elementErrors.push({ element: elements[0], label: getLabel(elements), message });
+                    ensureId(elements[0]);
+                } else {
+                    formErrors.push({ element: null, label: '', message });
                 }
             }
+        }
 
-            if (skipEmptyValues === true && (!value || !value.length)) {
-                continue;
+        elementErrors.sort((a, b) => compareDocumentPosition(a.element, b.element));
+        this._errorSummary.render(this._form, formErrors.concat(elementErrors));
+    }
+
+    /**
+     * Announces the result of the completed submission (if the announcements are enabled).
+     *
+     * @param {{failed: boolean, result: *}} submission
+     *
+     * @private
+     */
+    _announceSubmission(submission) {
+        if (!this._announcements) {
+            return;
+        }
+
+        const message = this._announcements[submission.failed ? 'error' : 'success'];
+        const text = typeof message === 'function' ? message(submission.result) : translate(message);
+
+        if (text) {
+            this._announcements.region.announce(text);
+        }
+    }
+
+    /**
+     * Gets list of the form elements with the given name, or the name with "[]" suffix.
+     *
+     * @param {string} name
+     *
+     * @return {HTMLElement[]}
+     * @private
+     */
+    _getElementList(name) {
+        for (const elementName of [name, name + '[]']) {
+            if (this.hasElement(elementName)) {
+                const element = this.getElement(elementName);
+
+                return element instanceof NodeList ? Array.from(element) : [element];
             }
+        }
 
-            data[name] = value;
+        return [];
+    }
+
+    /**
+     * Resolves the form element name from the property path segments,
+     * e.g. ["user", "address", "city"] into "user[address][city]".
+     *
+     * @param {string[]} path
+     *
+     * @return {string} The element name, or empty string when the form does not contain a matching element.
+     * @private
+     */
+    _resolveElementNameFromPath(path) {
+        if (path.length === 0) {
+            return '';
         }
 
-        return data;
+        const brackets = (segments) => segments.map((segment) => `[${segment}]`).join('');
+        const names = [path[0] + brackets(path.slice(1))];
+
+        if (this._elementNamePrefix && path[0] !== this._elementNamePrefix) {
+            names.push(this._elementNamePrefix + brackets(path));
+        }
+
+        for (const name of names) {
+            if (this.hasElement(name) || this.hasElement(name + '[]')) {
+                return name;
+            }
+        }
+
+        return '';
     }
 
     /**
-     * Sets form elements. Depend on element type: sets values, checks radio or checkbox element,
-     * or selects the select options.
+     * Maps the JSON Schema onto the form elements not mapped yet, and removes constraints of the removed elements.
      *
-     * @param {[]} elements
-     * @param {{}} data The form data with { "element-name": "value" } pairs.
+     * @private
      */
-    _setElementValues(elements, data) {
-        let value;
+    _applyJsonSchema() {
+        if (!this._jsonSchema) {
+            return;
+        }
 
-        for (let element of elements) {
-            if ((value = data[element.name]) === undefined) {
+        const mapped = this._jsonSchema.names;
+        const names = this._getElementNames();
+
+        for (const name in mapped) {
+            if (names.indexOf(name) === -1) {
+                this._removeJsonSchemaConstraints(name);
+                this._setElementErrors(name, []);
+            }
+        }
+
+        for (const name of names) {
+            const path = this._getElementPath(name);
+
+            if (mapped.hasOwnProperty(name) || path === null) {
                 continue;
             }
 
-            switch (element.type) {
-                case 'submit':
-                case 'reset':
-                case 'button':
-                    break;
+            mapped[name] = { constraints: [], converter: null };
 
-                case 'select-one':
-                case 'select-multiple':
-                    if (typeof value === 'string') {
-                        value = [value];
-                    }
+            for (const field of this._jsonSchema.fields) {
+                if (!matchPath(field.path, path)) {
+                    continue;
+                }
 
-                    element.selectedIndex = -1;
-                    const optionsLength = element.options.length;
+                if (field.constraints.length > 0) {
+                    this._validator.addConstraints(name, field.constraints);
+                    mapped[name].constraints.push(...field.constraints);
+                }
 
-                    for (let i = 0; i < optionsLength; i++) {
-                        const option = element.options[i];
+                const element = this._getElementList(name)[0];
 
-                        for (let val of value) {
-                            if (val == option.value) {
-                                option.selected = true;
-                            }
-                        }
-                    }
+                // Checkbox values are booleans without the converter.
+                if (field.type && !(field.type === 'boolean' && element.type === 'checkbox')) {
+                    this.setValueConverter(element.name, field.type);
+                    mapped[name].converter = element.name;
+                }
+            }
+        }
+    }
 
-                    break;
-                case 'radio':
-                case 'checkbox':
-                    element.checked = false;
+    /**
+     * @param {string} name The element name.
+     * @private
+     */
+    _removeJsonSchemaConstraints(name) {
+        const mapped = this._jsonSchema.names[name];
 
-                    if (typeof value === 'string') {
-                        value = [value];
-                    }
+        this._validator.removeConstraints(name, mapped.constraints);
 
-                    for (let val of value) {
-                        if (val == element.value) {
-                            element.checked = true;
-                        }
-                    }
+        if (mapped.converter) {
+            delete this._valueConverters[mapped.converter];
+        }
 
-                    break;
-                default:
-                    element.value = value;
+        delete this._jsonSchema.names[name];
+    }
+
+    /**
+     * @return {string[]} The unique names of the form elements (except buttons), without the "[]" suffix.
+     * @private
+     */
+    _getElementNames() {
+        const names = [];
+
+        for (const element of this._elements) {
+            const name = element.name.replace(/\[\]$/, '');
+
+            if (name && element.nodeName !== 'BUTTON' && buttonTypes.indexOf(element.type) === -1 && names.indexOf(name) === -1) {
+                names.push(name);
+            }
+        }
+
+        return names;
+    }
+
+    /**
+     * @param {string} name The element name, e.g. "user[address][city]".
+     *
+     * @return {string[]|null} The path of the element data, e.g. ["address", "city"] (without the element name prefix),
+     *                         or null if the name does not start with the prefix.
+     * @private
+     */
+    _getElementPath(name) {
+        if (this._elementNamePrefix) {
+            if (name.indexOf(this._elementNamePrefix + '[') !== 0) {
+                return null;
+            }
+
+            name = name.slice(this._elementNamePrefix.length);
+        }
+
+        return name.match(/[^\[\]]+/g) || [];
+    }
+
+    /**
+     * @param {Node|NodeList} element
+     *
+     * @return {boolean} Whether the element (or all elements of the list) is disabled.
+     * @private
+     */
+    _isElementDisabled(element) {
+        if (element instanceof NodeList) {
+            for (const item of element) {
+                if (!item.disabled) {
+                    return false;
+                }
             }
+
+            return element.length > 0;
         }
+
+        return element.disabled === true;
     }
 
     /**
@@ -575,4 +2822,272 @@ export default class Form {
 
         return name;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * @param {Node} a
+ * @param {Node} b
+ *
+ * @return {int} The sort order of the nodes in the document.
+ */
+function compareDocumentPosition(a, b) {
+    if (a === b) {
+        return 0;
+    }
+
+    return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+}
+
+/**
+ * @param {*} value
+ *
+ * @return {boolean} Whether the value is empty string, null, empty array or empty FileList.
+ */
+function isEmptyValue(value) {
+    return !value || (typeof value === 'object' && value.length === 0);
+}
+
+/**
+ * Converts an object with {"element-name": "value"} pairs into serialized (nested) data.
+ *
+ * @param {{}} elementValues
+ *
+ * @return {{}}
+ */
+function serializeData(elementValues) {
+    let data = {};
+    const buildObject = function (object, key, value) {
+        object[key] = value;
+
+        return object;
+    };
+
+    for (const name in elementValues) {
+        let value = elementValues[name];
+        const names = name.match(/[^\[\]]+/g);
+        let _name;
+
+        while ((_name = names.pop()) !== undefined) {
+            if (_name.match(/^\d+$/)) {
+                value = buildObject([], _name, value);
+            } else if (_name.match(/^.+$/)) {
+                value = buildObject({}, _name, value);
+            }
+        }
+
+        data = mergeData(data, value);
+    }
+
+    return data;
+}
+
+/**
+ * Recursively merges the source data (plain objects and arrays) into the target data.
+ *
+ * @param {{}|[]} target
+ * @param {{}|[]} source
+ *
+ * @return {{}|[]} The target data.
+ */
+function mergeData(target, source) {
+    for (const key in source) {
+        const value = source[key];
+
+        if (isStructure(value)) {
+            const current = target[key];
+            const isSameType = isStructure(current) && Array.isArray(current) === Array.isArray(value);
+
+            target[key] = mergeData(isSameType ? current : (Array.isArray(value) ? [] : {}), value);
+        } else if (value !== undefined) {
+            target[key] = value;
+        }
+    }
+
+    return target;
+}
+
+/**
+ * Compares the form element values.
+ *
+ * @param {*} a
+ * @param {*} b
+ *
+ * @return {boolean}
+ */
+function valuesEqual(a, b) {
+    const isList = (value) => Array.isArray(value) || (typeof FileList !== 'undefined' && value instanceof FileList);
+
+    if (isList(a) && isList(b)) {
+        if (a.length !== b.length) {
+            return false;
+        }
+
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    return a === b;
+}
+
+/**
+ * Registers the validation constraints and collections of the schema fields.
+ *
+ * @param {Form} form
+ * @param {{}[]} fields The schema fields.
+ * @param {string} [parentName]
+ */
+function configureFields(form, fields, parentName) {
+    for (const field of fields) {
+        const name = getFieldName(parentName, field.name);
+
+        if (field.type === 'fieldset') {
+            configureFields(form, field.fields || [], name);
+        } else if (field.type === 'collection') {
+            const collection = form.collection(name, {
+                min: field.min,
+                max: field.max,
+                constraints: getFieldConstraints(field.fields || [])
+            });
+
+            for (const data of field.default || []) {
+                collection.add(data);
+            }
+
+            collection.grow(field.min || 0);
+        } else {
+            form.addConstraints(getFieldConstraints([field], parentName));
+        }
+    }
+}
+
+/**
+ * @param {{}[]} fields The schema fields.
+ * @param {string} [parentName]
+ *
+ * @return {{}} The "required" and "constraints" properties of the fields (and the fieldset fields) as constraints,
+ *              with the field name as key. The "constraints" may be the constraint descriptors
+ *              (see the resolveConstraint() function). Fields of the collections are skipped.
+ */
+function getFieldConstraints(fields, parentName) {
+    const constraints = {};
+
+    for (const field of fields) {
+        const name = getFieldName(parentName, field.name);
+
+        if (field.type === 'fieldset') {
+            Object.assign(constraints, getFieldConstraints(field.fields || [], name));
+        } else if (field.type !== 'collection') {
+            const fieldConstraints = (field.required === true ? [required()] : [])
+                .concat((field.constraints || []).map(resolveConstraint));
+
+            if (fieldConstraints.length > 0) {
+                constraints[name] = fieldConstraints;
+            }
+        }
+    }
+
+    return constraints;
+}
+
+/**
+ * @param {{value: string, label: string, disabled: boolean}} choice
+ *
+ * @return {HTMLOptionElement}
+ */
+function createOption(choice) {
+    const option = document.createElement('option');
+    option.value = choice.value;
+    option.textContent = choice.label;
+    option.disabled = choice.disabled === true;
+
+    return option;
+}
+
+/**
+ * Replaces empty arrays with null values, so the flattened data clears the multiple choice elements.
+ *
+ * @param {*} data The serialized data.
+ *
+ * @return {*}
+ */
+function nullifyEmptyArrays(data) {
+    if (Array.isArray(data)) {
+        return data.length === 0 ? null : data.map(nullifyEmptyArrays);
+    }
+
+    if (data === null || typeof data !== 'object' || data instanceof Date || isFile(data)) {
+        return data;
+    }
+
+    const result = {};
+
+    for (const key in data) {
+        result[key] = nullifyEmptyArrays(data[key]);
+    }
+
+    return result;
+}
+
+/**
+ * @param {*} value
+ *
+ * @return {string} The value description used in the error messages.
+ */
+function describeValue(value) {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+
+    return typeof value === 'string' ? `string "${value}"` : typeof value;
+}
+
+/**
+ * @param {string[]} pattern The path with "*" segments matching any array index.
+ * @param {string[]} path
+ *
+ * @return {boolean}
+ */
+function matchPath(pattern, path) {
+    if (pattern.length !== path.length) {
+        return false;
+    }
+
+    return pattern.every((segment, i) => segment === path[i] || (segment === '*' && /^\d+$/.test(path[i])));
+}
+
+/**
+ * Restores the original label and disabled state of the buttons.
+ *
+ * @param {{element: HTMLElement, disabled: boolean, label: string|null}[]} buttons
+ */
+function restoreButtons(buttons) {
+    for (const button of buttons) {
+        if (button.label !== null) {
+            if (button.element.nodeName === 'INPUT') {
+                button.element.value = button.label;
+            } else {
+                button.element.innerHTML = button.label;
+            }
+        }
+
+        button.element.disabled = button.disabled;
+    }
+}
+
+/**
+ * Removes DOM event listeners registered for the listener item.
+ *
+ * @param {{bindings: {element: EventTarget, event: string, handler: function, capture: boolean}[]}} item
+ */
+function unbind(item) {
+    for (const binding of item.bindings || []) {
+        binding.element.removeEventListener(binding.event, binding.handler, binding.capture);
+    }
+
+    item.bindings = [];
+}
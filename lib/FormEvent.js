@@ -0,0 +1,35 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Event emitted by the form and passed to the listeners registered with the Form.on() method.
+ * Event properties depend on the event type (e.g. "name", "value", "element" of the "change" event).
+ */
+export default class FormEvent {
+    /**
+     * @param {string} type The event type.
+     * @param {Form} form
+     * @param {{}} [data] The event properties.
+     */
+    constructor(type, form, data = {}) {
+        Object.assign(this, data);
+        this.type = type;
+        this.form = form;
+        this._defaultPrevented = false;
+    }
+
+    /**
+     * Cancels the event default action (e.g. the form submission on the "beforeSubmit" event).
+     */
+    preventDefault() {
+        this._defaultPrevented = true;
+    }
+
+    /**
+     * @return {boolean}
+     */
+    isDefaultPrevented() {
+        return this._defaultPrevented;
+    }
+}
@@ -0,0 +1,185 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import { checkStorage } from './utils.js';
+
+/**
+ * Saves the form data into the storage (e.g. localStorage) while the user fills the form,
+ * and restores the data, e.g. after accidental page reload.
+ */
+export default class FormPersistence {
+    /**
+     * @param {Form} form
+     * @param {{}}      [options]
+     * @param {Storage} [options.storage = localStorage] The storage object with "getItem", "setItem" and "removeItem" methods.
+     * @param {string}  [options.key] The storage key. Default created from the form name and the page path.
+     * @param {string|int} [options.version = 1] The data version. Data saved with other version is not restored.
+     * @param {string[]} [options.exclude = []] Names of the elements, which values are not saved
+     *                                          e.g. ["password", "_token"]. Values of the password and file
+     *                                          inputs are never saved.
+     * @param {int}     [options.debounce = 300] Delay in milliseconds of saving data after the form change.
+     * @param {function} [prepareName] The function adding the element name prefix to the excluded names
+     *                                 (passed by the Form).
+     */
+    constructor(form, options = {}, prepareName) {
+        this._form = form;
+        this._prepareName = prepareName || ((name) => name);
+        this._storage = options.storage || window.localStorage;
+        this._key = (options.key || 'form:' + (form.getName() || '') + ':' + window.location.pathname)
+            + ':v' + (options.version !== undefined ? options.version : 1);
+        this._exclude = options.exclude || [];
+        this._debounce = options.debounce !== undefined ? options.debounce : 300;
+        this._timeoutId = null;
+        this._writable = true;
+        this._listener = () => this._scheduleSave();
+
+        checkStorage(this._storage);
+    }
+
+    /**
+     * @return {string} The storage key.
+     */
+    getKey() {
+        return this._key;
+    }
+
+    /**
+     * Registers the form listeners, saving the form data on input.
+     * The listeners are not registered, after writing the storage failed.
+     */
+    attach() {
+        if (!this._writable) {
+            return;
+        }
+
+        const formElement = this._form.getFormElement();
+
+        for (const event of ['input', 'change']) {
+            formElement.removeEventListener(event, this._listener);
+            formElement.addEventListener(event, this._listener);
+        }
+    }
+
+    /**
+     * Removes the form listeners.
+     */
+    detach() {
+        clearTimeout(this._timeoutId);
+
+        const formElement = this._form.getFormElement();
+
+        for (const event of ['input', 'change']) {
+            formElement.removeEventListener(event, this._listener);
+        }
+    }
+
+    /**
+     * Saves the form data into the storage. When the storage cannot be written (e.g. the storage quota is exceeded
+     * or the storage is not available in the private mode), saving is disabled.
+     *
+     * @return {boolean} Whether the data has been saved.
+     */
+    save() {
+        clearTimeout(this._timeoutId);
+
+        const data = this._form.getData(false, false);
+        const formElement = this._form.getFormElement();
+
+        for (const name in data) {
+            if (this._isExcluded(name, formElement.elements.namedItem(name))) {
+                delete data[name];
+            }
+        }
+
+        try {
+            this._storage.setItem(this._key, JSON.stringify(data));
+        } catch (error) {
+            this._writable = false;
+            this.detach();
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Restores the form data saved in the storage.
+     *
+     * @return {boolean} Whether the data has been restored.
+     */
+    restore() {
+        let data = this._storage.getItem(this._key);
+
+        if (data === null || data === undefined) {
+            return false;
+        }
+
+        try {
+            data = JSON.parse(data);
+        } catch (error) {
+            this.clear();
+
+            return false;
+        }
+
+        if (data === null || typeof data !== 'object') {
+            this.clear();
+
+            return false;
+        }
+
+        // The saved data may not fit the form elements, when the form has been changed.
+        this._form.setData(data, { serialized: false, strict: false });
+
+        return true;
+    }
+
+    /**
+     * Removes the form data from the storage.
+     */
+    clear() {
+        clearTimeout(this._timeoutId);
+        this._storage.removeItem(this._key);
+    }
+
+    /**
+     * @private
+     */
+    _scheduleSave() {
+        clearTimeout(this._timeoutId);
+
+        if (this._debounce > 0) {
+            this._timeoutId = setTimeout(() => this.save(), this._debounce);
+        } else {
+            this.save();
+        }
+    }
+
+    /**
+     * @param {string} name The element name.
+     * @param {Node|NodeList|null} element
+     *
+     * @return {boolean}
+     * @private
+     */
+    _isExcluded(name, element) {
+        const item = element instanceof NodeList ? element[0] : element;
+
+        if (item && (item.type === 'password' || item.type === 'file')) {
+            return true;
+        }
+
+        const segments = name.match(/[^\[\]]+/g) || [];
+        const lastSegment = segments[segments.length - 1];
+
+        for (const excluded of this._exclude) {
+            if (excluded === name || excluded === lastSegment || this._prepareName(excluded) === name) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+}
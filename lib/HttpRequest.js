@@ -2,19 +2,26 @@
  * (c) Artur Doruch <arturdoruch@interia.pl>
  */
 
-import $ from 'jquery';
+import { stringify, toPairs, isFile } from './queryString.js';
+
+const encodingTypes = [
+    'application/x-www-form-urlencoded', 'application/json', 'multipart/form-data'
+];
 
 export default class HttpRequest {
     /**
      * @param {string} method The form method. One of "GET" or "POST".
      * @param {string} action The form action.
      * @param {{}} data The form serialized data.
+     * @param {string} [enctype = "application/x-www-form-urlencoded"] The encoding type of the POST request body.
+     *                 One of "application/x-www-form-urlencoded", "application/json" or "multipart/form-data".
      */
-    constructor(method, action, data = {}) {
+    constructor(method, action, data = {}, enctype = encodingTypes[0]) {
         this._method = method.toUpperCase();
         this._url = action;
         this._data = data;
-        this._queryString = $.param(data);
+        this._enctype = enctype || encodingTypes[0];
+        this._queryString = stringify(data);
 
         if (this._method === 'GET' && this._queryString) {
             this._url += (/\?/.test(this._url) ? '&' : '?') + this._queryString;
@@ -48,4 +55,164 @@ export default class HttpRequest {
     getQueryString() {
         return this._queryString;
     }
-}
\ No newline at end of file
+
+    /**
+     * @return {string}
+     */
+    getEnctype() {
+        return this._enctype;
+    }
+
+    /**
+     * Sends the request.
+     *
+     * @param {{}}          [options]
+     * @param {string}      [options.enctype] The encoding type of the request body. Overrides the request "enctype".
+     * @param {{}}          [options.headers] The request headers.
+     * @param {int}         [options.timeout] The request timeout in milliseconds.
+     * @param {AbortSignal} [options.signal] The signal aborting the request.
+     * @param {string}      [options.credentials = "same-origin"]
+     * @param {function}    [options.transport = fetch] The function sending the request. Called with arguments:
+     *                                                  - {string} url
+     *                                                  - {{}} init The "fetch" function options.
+     *                                                  Must return a Promise resolved with the Response object.
+     *
+     * @return {Promise<Response>} Promise rejected when the request failed, timed out or was aborted.
+     */
+    send(options = {}) {
+        const transport = options.transport || (typeof fetch === 'function' ? fetch : null);
+
+        if (typeof transport !== 'function') {
+            return Promise.reject(new TypeError('The "fetch" function is not available. Specify the "transport" option.'));
+        }
+
+        const enctype = options.enctype || this._enctype;
+
+        if (encodingTypes.indexOf(enctype) === -1) {
+            return Promise.reject(new TypeError(`Invalid encoding type "${enctype}". Expected one of "${encodingTypes.join('", "')}".`));
+        }
+
+        const headers = Object.assign({ 'X-Requested-With': 'XMLHttpRequest' }, options.headers);
+        const init = {
+            method: this._method,
+            headers,
+            credentials: options.credentials || 'same-origin'
+        };
+
+        if (this._method !== 'GET' && this._method !== 'HEAD') {
+            if (enctype === 'application/json') {
+                init.body = JSON.stringify(removeFiles(this._data));
+                headers['Content-Type'] = enctype;
+            } else if (enctype === 'multipart/form-data') {
+                // The Content-Type header with boundary is set by the transport.
+                init.body = createFormData(this._data);
+            } else {
+                init.body = this._queryString;
+                headers['Content-Type'] = enctype + '; charset=UTF-8';
+            }
+        }
+
+        const controller = new AbortController();
+        const signal = options.signal;
+        let timeoutId = null;
+        let timedOut = false;
+        const abort = () => controller.abort();
+
+        init.signal = controller.signal;
+
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            } else {
+                signal.addEventListener('abort', abort);
+            }
+        }
+
+        if (options.timeout > 0) {
+            timeoutId = setTimeout(function () {
+                timedOut = true;
+                controller.abort();
+            }, options.timeout);
+        }
+
+        const cleanup = function () {
+            clearTimeout(timeoutId);
+
+            if (signal) {
+                signal.removeEventListener('abort', abort);
+            }
+        };
+
+        return Promise.resolve()
+            .then(() => {
+                if (controller.signal.aborted) {
+                    throw new DOMException('The request was aborted.', 'AbortError');
+                }
+
+                return transport(this._url, init);
+            })
+            .then(function (response) {
+                cleanup();
+
+                return response;
+            }, function (error) {
+                cleanup();
+
+                if (timedOut) {
+                    error = new Error(`The request timed out after ${options.timeout} ms.`);
+                    error.name = 'TimeoutError';
+                }
+
+                throw error;
+            });
+    }
+}
+
+/**
+ * Removes the File, Blob and FileList values from the data, since they cannot be sent in the query string.
+ *
+ * @param {{}|[]} data
+ *
+ * @return {{}|[]}
+ */
+function removeFiles(data) {
+    const result = Array.isArray(data) ? [] : {};
+
+    for (const key in data) {
+        const value = data[key];
+
+        if (isFile(value)) {
+            continue;
+        }
+
+        result[key] = value !== null && typeof value === 'object' && !(value instanceof Date) ? removeFiles(value) : value;
+    }
+
+    return result;
+}
+
+/**
+ * Creates FormData object from the serialized data. The field names are created like the query string keys,
+ * e.g. "tags[]" for the array and FileList values, "items[0][name]" for the arrays of objects.
+ *
+ * @param {{}} data
+ *
+ * @return {FormData}
+ */
+export function createFormData(data) {
+    const formData = new FormData();
+
+    for (const [key, value] of toPairs(data)) {
+        if (typeof FileList !== 'undefined' && value instanceof FileList) {
+            for (const file of value) {
+                formData.append(key + '[]', file);
+            }
+        } else if (isFile(value)) {
+            formData.append(key, value);
+        } else {
+            formData.append(key, value === null || value === undefined ? '' : value);
+        }
+    }
+
+    return formData;
+}
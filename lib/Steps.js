@@ -0,0 +1,337 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import FormEvent from './FormEvent.js';
+import { checkStorage } from './utils.js';
+
+/**
+ * Splits the form into steps (wizard). Only the current step is shown. Steps are hidden with the "hidden" attribute,
+ * so the elements of the hidden steps are not disabled, and their values are included in the form data.
+ * The native validation of the form is disabled while the steps are active (the browser blocks submitting the form
+ * with invalid hidden elements), and the elements of the step are validated by the steps instead.
+ *
+ *     const steps = form.steps(['#step-1', '#step-2', '#step-3'], { persist: true });
+ *
+ *     steps.next(); // Validates the current step and shows the next one.
+ */
+export default class Steps {
+    /**
+     * @param {Form} form
+     * @param {(HTMLElement|string)[]} steps The step container elements or CSS selectors.
+     * @param {{}}      [options]
+     * @param {int}     [options.start = 0] The index of the initial step.
+     * @param {boolean} [options.validate = true] Whether to validate the current step, before going to the next step.
+     * @param {boolean} [options.persist = false] Whether to save the current step (progress) into the storage,
+     *                                            and restore it.
+     * @param {Storage} [options.storage = localStorage] The storage object with "getItem", "setItem" and "removeItem" methods.
+     * @param {string}  [options.key] The storage key. Default created from the form name and the page path.
+     * @param {function} [emit] The function emitting the form event, called with the event type and properties
+     *                          (passed by the Form). Should return the FormEvent.
+     */
+    constructor(form, steps, options = {}, emit) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new TypeError('Invalid form steps. Expected not empty array of the elements or CSS selectors.');
+        }
+
+        this._form = form;
+        this._emit = emit || ((type, data) => new FormEvent(type, form, data));
+        this._steps = steps.map((step) => this._resolveStep(step));
+        this._validate = options.validate !== false;
+        this._storage = options.persist === true ? (options.storage || window.localStorage) : null;
+        this._key = options.key || 'form-steps:' + (form.getName() || '') + ':' + window.location.pathname;
+        this._index = -1;
+        this._noValidate = form.getFormElement().noValidate;
+
+        if (this._storage) {
+            checkStorage(this._storage);
+        }
+
+        const saved = this._storage ? parseInt(this._storage.getItem(this._key), 10) : NaN;
+
+        form.getFormElement().noValidate = true;
+
+        this._show(this._isIndex(saved) ? saved : this._checkIndex(options.start || 0));
+    }
+
+    /**
+     * @return {int} The index of the current step.
+     */
+    getIndex() {
+        return this._index;
+    }
+
+    /**
+     * @return {int} The number of steps.
+     */
+    getCount() {
+        return this._steps.length;
+    }
+
+    /**
+     * @param {int} [index] The step index. Default the current step.
+     *
+     * @return {HTMLElement} The step container element.
+     */
+    getStep(index = this._index) {
+        return this._steps[this._checkIndex(index)];
+    }
+
+    /**
+     * @return {boolean}
+     */
+    isFirst() {
+        return this._index === 0;
+    }
+
+    /**
+     * @return {boolean}
+     */
+    isLast() {
+        return this._index === this._steps.length - 1;
+    }
+
+    /**
+     * Validates the current step and goes to the next step.
+     *
+     * @return {boolean} Whether the step has been changed.
+     */
+    next() {
+        return !this.isLast() && this.goTo(this._index + 1);
+    }
+
+    /**
+     * Goes to the previous step. The current step is not validated.
+     *
+     * @return {boolean} Whether the step has been changed.
+     */
+    prev() {
+        return !this.isFirst() && this.goTo(this._index - 1);
+    }
+
+    /**
+     * Goes to the step. When going forward, the current step and the steps between are validated. The first invalid
+     * step is shown and its first invalid element is focused.
+     *
+     * @param {int} index The step index.
+     *
+     * @return {boolean} Whether the step has been changed.
+     */
+    goTo(index) {
+        this._checkIndex(index);
+
+        if (index === this._index) {
+            return false;
+        }
+
+        if (this._validate) {
+            for (let i = this._index; i < index; i++) {
+                if (!this.validateStep(i)) {
+                    this._reportInvalid(i);
+
+                    return false;
+                }
+            }
+        }
+
+        return this._change(index);
+    }
+
+    /**
+     * Validates the elements of the step with the form constraints and the native constraint validation.
+     *
+     * @param {int} [index] The step index. Default the current step.
+     *
+     * @return {boolean}
+     */
+    validateStep(index = this._index) {
+        const names = [];
+
+        for (const element of this._getElements(index)) {
+            for (const name of [element.name, element.name.replace(/\[\]$/, '')]) {
+                if (names.indexOf(name) === -1) {
+                    names.push(name);
+                }
+            }
+        }
+
+        const valid = this._form.validate(names);
+
+        return this._getNativeInvalidElements(index).length === 0 && valid;
+    }
+
+    /**
+     * Validates all steps (e.g. before the form submission), shows the first invalid step and focuses
+     * its first invalid element.
+     *
+     * @return {boolean} Whether all steps are valid.
+     */
+    validate() {
+        let invalidIndex = -1;
+
+        for (let i = 0; i < this._steps.length; i++) {
+            if (!this.validateStep(i) && invalidIndex === -1) {
+                invalidIndex = i;
+            }
+        }
+
+        if (invalidIndex !== -1) {
+            this._reportInvalid(invalidIndex);
+        }
+
+        return invalidIndex === -1;
+    }
+
+    /**
+     * Goes to the step containing the element, without validation.
+     *
+     * @param {HTMLElement} element
+     *
+     * @return {boolean} Whether the step containing the element is shown.
+     */
+    showElement(element) {
+        const index = this._steps.findIndex((step) => step.contains(element));
+
+        return index !== -1 && (index === this._index || this._change(index));
+    }
+
+    /**
+     * Removes the saved progress from the storage.
+     */
+    clearProgress() {
+        if (this._storage) {
+            this._storage.removeItem(this._key);
+        }
+    }
+
+    /**
+     * Shows all steps and restores the native validation of the form.
+     */
+    destroy() {
+        for (const step of this._steps) {
+            step.hidden = false;
+        }
+
+        this._form.getFormElement().noValidate = this._noValidate;
+    }
+
+    /**
+     * @param {int} index
+     *
+     * @return {boolean} Whether the step has been changed.
+     * @private
+     */
+    _change(index) {
+        const from = this._index;
+        const beforeChange = this._emit('beforeStepChange', { from, to: index });
+
+        if (beforeChange.isDefaultPrevented()) {
+            return false;
+        }
+
+        this._show(index);
+        this._emit('stepChange', { from, to: index, step: this._steps[index] });
+
+        return true;
+    }
+
+    /**
+     * @param {int} index
+     * @private
+     */
+    _show(index) {
+        this._steps.forEach((step, i) => {
+            step.hidden = i !== index;
+        });
+
+        this._index = index;
+
+        if (this._storage) {
+            this._storage.setItem(this._key, String(index));
+        }
+    }
+
+    /**
+     * Focuses the first invalid element (showing its step), or reports the native validation message.
+     *
+     * @param {int} index The invalid step index.
+     * @private
+     */
+    _reportInvalid(index) {
+        if (this._form.focusFirstInvalid()) {
+            return;
+        }
+
+        const element = this._getNativeInvalidElements(index)[0];
+
+        if (element) {
+            this.showElement(element);
+            element.reportValidity();
+        }
+    }
+
+    /**
+     * @param {int} index
+     *
+     * @return {HTMLElement[]} The named form elements of the step.
+     * @private
+     */
+    _getElements(index) {
+        return Array.from(this._steps[index].querySelectorAll('input, select, textarea')).filter((element) => element.name);
+    }
+
+    /**
+     * @param {int} index
+     *
+     * @return {HTMLElement[]} The elements of the step, not passing the native constraint validation.
+     * @private
+     */
+    _getNativeInvalidElements(index) {
+        if (this._noValidate) {
+            return [];
+        }
+
+        return this._getElements(index).filter((element) => element.willValidate && !element.checkValidity());
+    }
+
+    /**
+     * @param {HTMLElement|string} step
+     *
+     * @return {HTMLElement}
+     * @private
+     */
+    _resolveStep(step) {
+        const formElement = this._form.getFormElement();
+        const element = typeof step === 'string' ? formElement.querySelector(step) : step;
+
+        if (!(element instanceof HTMLElement) || !formElement.contains(element)) {
+            throw new TypeError(`Invalid form step "${step}". Expected element (or CSS selector of the element) inside the form.`);
+        }
+
+        return element;
+    }
+
+    /**
+     * @param {*} index
+     *
+     * @return {boolean}
+     * @private
+     */
+    _isIndex(index) {
+        return Number.isInteger(index) && index >= 0 && index < this._steps.length;
+    }
+
+    /**
+     * @param {*} index
+     *
+     * @return {int}
+     * @private
+     */
+    _checkIndex(index) {
+        if (!this._isIndex(index)) {
+            throw new TypeError(`Invalid step index "${index}". Expected integer between 0 and ${this._steps.length - 1}.`);
+        }
+
+        return index;
+    }
+}
@@ -0,0 +1,110 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import { parse, stringify } from './queryString.js';
+
+/**
+ * Synchronizes the form data with the URL query string (e.g. for the list filter forms).
+ * Writes the form data into the URL on the form submit (when the form is valid) or change, and restores the form data
+ * from the URL query string and on the browser history navigation. The submit button is not written into the URL.
+ */
+export default class UrlSync {
+    /**
+     * @param {Form} form
+     * @param {{}}       [options]
+     * @param {string}   [options.mode = "push"] The browser history mode. One of "push" or "replace".
+     * @param {boolean}  [options.skipEmpty = true] Whether to not write elements with empty value into the URL.
+     * @param {string[]} [options.events = ["submit", "change"]] The form events writing data into the URL.
+     * @param {function} [options.onRestore] The function called with the restored (serialized) data,
+     *                                       after restoring the form data on the browser history navigation.
+     * @param {function} [canSubmit] The function called with the submit event, returning whether the form
+     *                               may be submitted (passed by the Form). Default validates the form.
+     */
+    constructor(form, options = {}, canSubmit) {
+        if (options.mode && options.mode !== 'push' && options.mode !== 'replace') {
+            throw new TypeError(`Invalid URL sync mode "${options.mode}". Expected one of "push" or "replace".`);
+        }
+
+        this._form = form;
+        this._mode = options.mode || 'push';
+        this._skipEmpty = options.skipEmpty !== false;
+        this._events = options.events || ['submit', 'change'];
+        this._onRestore = options.onRestore || null;
+        this._canSubmit = canSubmit || (() => form.validate());
+        this._formListener = (e) => {
+            if (e.type !== 'submit' || this._canSubmit(e)) {
+                this.write();
+            }
+        };
+        this._popStateListener = () => {
+            const data = this.restore();
+
+            if (this._onRestore) {
+                this._onRestore(data);
+            }
+        };
+    }
+
+    /**
+     * Registers the form and window listeners.
+     */
+    attach() {
+        const formElement = this._form.getFormElement();
+
+        for (const event of this._events) {
+            formElement.removeEventListener(event, this._formListener);
+            formElement.addEventListener(event, this._formListener);
+        }
+
+        window.removeEventListener('popstate', this._popStateListener);
+        window.addEventListener('popstate', this._popStateListener);
+    }
+
+    /**
+     * Removes the form and window listeners.
+     */
+    detach() {
+        const formElement = this._form.getFormElement();
+
+        for (const event of this._events) {
+            formElement.removeEventListener(event, this._formListener);
+        }
+
+        window.removeEventListener('popstate', this._popStateListener);
+    }
+
+    /**
+     * Writes the form data into the URL query string.
+     */
+    write() {
+        const query = stringify(this._form.getData({ skipEmptyValues: this._skipEmpty, submitter: null }));
+        const location = window.location;
+        const url = location.pathname + (query ? '?' + query : '') + location.hash;
+
+        if (url === location.pathname + location.search + location.hash) {
+            return;
+        }
+
+        if (this._mode === 'replace') {
+            window.history.replaceState(window.history.state, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * Restores the form data from the URL query string. Values of the elements not included
+     * in the query string are reset (except hidden inputs).
+     *
+     * @return {{}} The restored serialized data.
+     */
+    restore() {
+        const data = parse(window.location.search);
+
+        // Values of the query string may not fit the form elements, when the URL has been modified.
+        this._form.setData(data, { mode: 'replace', resetHidden: false, strict: false });
+
+        return data;
+    }
+}
@@ -0,0 +1,48 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Normalizes the select choices into the list of options and option groups.
+ *
+ * @param {{}|[]} choices
+ *
+ * @return {{value: string, label: string, disabled: boolean, choices: []|undefined}[]}
+ */
+export function normalizeChoices(choices) {
+    const normalized = [];
+
+    if (Array.isArray(choices)) {
+        for (const choice of choices) {
+            if (Array.isArray(choice)) {
+                normalized.push({ value: String(choice[0]), label: String(choice[1]) });
+            } else if (choice !== null && typeof choice === 'object') {
+                if (choice.choices) {
+                    normalized.push({ label: String(choice.label), disabled: choice.disabled, choices: normalizeChoices(choice.choices) });
+                } else {
+                    normalized.push({
+                        value: String(choice.value),
+                        label: String(choice.label !== undefined ? choice.label : choice.value),
+                        disabled: choice.disabled
+                    });
+                }
+            } else {
+                normalized.push({ value: String(choice), label: String(choice) });
+            }
+        }
+
+        return normalized;
+    }
+
+    for (const value in choices) {
+        const label = choices[value];
+
+        if (label !== null && typeof label === 'object') {
+            normalized.push({ label: value, choices: normalizeChoices(label) });
+        } else {
+            normalized.push({ value, label: String(label) });
+        }
+    }
+
+    return normalized;
+}
@@ -0,0 +1,200 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Built-in converters of the form element values.
+ *
+ * Converter is an object with the methods:
+ *  - parse(value, element) Converts element value (string) into typed value.
+ *  - format(value, element) Converts typed value into element value (string).
+ */
+const converters = {
+    string: {
+        parse(value) {
+            return value;
+        },
+        format(value, element) {
+            if (value === null || value === undefined) {
+                return '';
+            }
+
+            if (value instanceof Date) {
+                return element && element.type === 'datetime-local' ? formatDateTime(value) : formatDate(value);
+            }
+
+            if (typeof value === 'boolean') {
+                return value ? '1' : '0';
+            }
+
+            return String(value);
+        }
+    },
+
+    integer: {
+        parse(value) {
+            if (value === '' || value === null || value === undefined) {
+                return null;
+            }
+
+            const number = parseInt(value, 10);
+
+            return isNaN(number) ? null : number;
+        },
+        format: formatScalar
+    },
+
+    number: {
+        parse(value) {
+            if (value === '' || value === null || value === undefined) {
+                return null;
+            }
+
+            const number = parseFloat(value);
+
+            return isNaN(number) ? null : number;
+        },
+        format: formatScalar
+    },
+
+    boolean: {
+        parse(value) {
+            if (value === '' || value === null || value === undefined) {
+                return null;
+            }
+
+            return ['0', 'false', 'off', 'no'].indexOf(String(value).toLowerCase()) === -1;
+        },
+        format(value) {
+            if (value === null || value === undefined || value === '') {
+                return '';
+            }
+
+            if (typeof value === 'boolean') {
+                return value ? '1' : '0';
+            }
+
+            return String(value);
+        }
+    },
+
+    date: {
+        parse(value) {
+            return parseDate(value);
+        },
+        format(value) {
+            return value instanceof Date ? formatDate(value) : formatScalar(value);
+        }
+    },
+
+    datetime: {
+        parse(value) {
+            return parseDate(value);
+        },
+        format(value) {
+            return value instanceof Date ? formatDateTime(value) : formatScalar(value);
+        }
+    }
+};
+
+const typeAliases = {
+    int: 'integer',
+    float: 'number',
+    bool: 'boolean',
+};
+
+export default converters;
+
+/**
+ * Resolves value type of the form element, from the "data-type" attribute or the element type.
+ *
+ * @param {HTMLElement} element
+ *
+ * @return {string} One of the built-in converter names.
+ */
+export function resolveType(element) {
+    const type = element.getAttribute('data-type');
+
+    if (type) {
+        return getConverterName(type);
+    }
+
+    switch (element.type) {
+        case 'number':
+        case 'range':
+            return 'number';
+        case 'date':
+            return 'date';
+        case 'datetime-local':
+            return 'datetime';
+        default:
+            return 'string';
+    }
+}
+
+/**
+ * @param {string} type The converter name or alias (e.g. "int", "float", "bool").
+ *
+ * @return {string}
+ * @throws TypeError when converter with the given name does not exist.
+ */
+export function getConverterName(type) {
+    type = typeAliases[type] || type;
+
+    if (!converters.hasOwnProperty(type)) {
+        throw new TypeError(`Invalid value type "${type}". Expected one of "${Object.keys(converters).join('", "')}".`);
+    }
+
+    return type;
+}
+
+/**
+ * Parses date in format "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM[:SS]" into local time Date object.
+ *
+ * @param {string} value
+ *
+ * @return {Date|null}
+ */
+export function parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+
+    if (!match) {
+        return null;
+    }
+
+    const date = new Date(match[1], match[2] - 1, match[3], match[4] || 0, match[5] || 0, match[6] || 0);
+
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @param {Date} date
+ *
+ * @return {string} The date in format "YYYY-MM-DD".
+ */
+export function formatDate(date) {
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+}
+
+/**
+ * @param {Date} date
+ *
+ * @return {string} The date in format "YYYY-MM-DDTHH:MM[:SS]".
+ */
+export function formatDateTime(date) {
+    let time = pad(date.getHours()) + ':' + pad(date.getMinutes());
+
+    if (date.getSeconds() > 0) {
+        time += ':' + pad(date.getSeconds());
+    }
+
+    return formatDate(date) + 'T' + time;
+}
+
+function formatScalar(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+function pad(number) {
+    return (number < 10 ? '0' : '') + number;
+}
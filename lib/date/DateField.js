@@ -0,0 +1,214 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import DateAdapter from './adapter/DateAdapter.js';
+import NativeDateAdapter from './adapter/NativeDateAdapter.js';
+import { parseFormat, stringifyFormat } from './dateFormat.js';
+import { parseDate as parseIsoDate } from '../converter/valueConverters.js';
+import { formatMessage } from '../validation/Validator.js';
+import { translate } from '../validation/messages.js';
+
+/**
+ * Date form field. Reads and writes the input element value as the Date object, using the date picker adapter.
+ */
+export default class DateField {
+    /**
+     * @param {HTMLInputElement|jQuery|string} element The input element or jQuery object, or CSS selector.
+     * @param {{}}          [options]
+     * @param {string}      [options.format = "Y-m-d"] The displayed date format.
+     * @param {string}      [options.syntax = "php"] The format syntax: "php", "icu" or "jqueryui".
+     * @param {DateAdapter} [options.adapter] The date picker adapter.
+     *                                        Default NativeDateAdapter for the `input[type="date"]` element,
+     *                                        otherwise DateAdapter (without date picker).
+     * @param {Date|null}   [options.min] The minimum date.
+     * @param {Date|null}   [options.max] The maximum date.
+     * @param {{}}          [options.names] The day and month names: "dayNames", "dayNamesShort", "monthNames",
+     *                                      "monthNamesShort" (used by the DateAdapter).
+     *
+     * @throws TypeError when the format contains not supported tokens, e.g. time tokens.
+     */
+    constructor(element, options = {}) {
+        if (typeof element === 'string') {
+            element = document.querySelector(element);
+        } else if (element && typeof element.jquery === 'string') {
+            element = element[0];
+        }
+
+        if (!(element instanceof HTMLInputElement)) {
+            throw new TypeError('Invalid date field element. Expected HTMLInputElement.');
+        }
+
+        const adapter = options.adapter || (element.type === 'date' ? new NativeDateAdapter() : new DateAdapter());
+
+        for (const method of ['attach', 'detach', 'setRange', 'parse', 'format']) {
+            if (typeof adapter[method] !== 'function') {
+                throw new TypeError(`Invalid date adapter. Expected object with the "${method}" method.`);
+            }
+        }
+
+        this._element = element;
+        this._format = parseFormat(options.format || 'Y-m-d', options.syntax || 'php');
+        this._names = options.names || {};
+        this._adapter = adapter;
+        this._min = toDate(options.min);
+        this._max = toDate(options.max);
+
+        this._adapter.attach(this);
+
+        if (this._min || this._max) {
+            this._adapter.setRange(this, this.getMin(), this.getMax());
+        }
+    }
+
+    /**
+     * @return {HTMLInputElement}
+     */
+    getElement() {
+        return this._element;
+    }
+
+    /**
+     * @return {DateAdapter}
+     */
+    getAdapter() {
+        return this._adapter;
+    }
+
+    /**
+     * @param {string} [syntax = "php"] The format syntax: "php", "icu" or "jqueryui".
+     *
+     * @return {string} The displayed date format.
+     */
+    getFormat(syntax = 'php') {
+        return stringifyFormat(this._format, syntax);
+    }
+
+    /**
+     * @return {{}} The day and month names.
+     */
+    getNames() {
+        return this._names;
+    }
+
+    /**
+     * @return {Date|null} The date or null, when the element is empty or the value is not a valid date.
+     */
+    getDate() {
+        const value = this._element.value.trim();
+
+        return value === '' ? null : this._adapter.parse(value, this);
+    }
+
+    /**
+     * @param {Date|string|null} date The Date object or string in format "YYYY-MM-DD". Null clears the element.
+     *
+     * @return {DateField}
+     */
+    setDate(date) {
+        date = toDate(date);
+        this._element.value = date ? this._adapter.format(date, this) : '';
+
+        return this;
+    }
+
+    /**
+     * @return {boolean} Whether the element is empty, or the value is a valid date within the minimum and maximum date.
+     */
+    isValid() {
+        return this.validate().length === 0;
+    }
+
+    /**
+     * Validates the element value.
+     *
+     * @param {string} [locale] The locale of the messages. Default the current locale of the messages catalog
+     *                          (see lib/validation/messages.js).
+     *
+     * @return {string[]} The error messages.
+     */
+    validate(locale) {
+        if (this._element.value.trim() === '') {
+            return [];
+        }
+
+        const date = this.getDate();
+        let violation = null;
+
+        if (date === null) {
+            violation = { message: 'This value is not a valid date.', parameters: {} };
+        } else if (this._min && date < this._min) {
+            violation = { message: 'This value should be {{ limit }} or later.', parameters: { limit: this._adapter.format(this._min, this) } };
+        } else if (this._max && date > this._max) {
+            violation = { message: 'This value should be {{ limit }} or earlier.', parameters: { limit: this._adapter.format(this._max, this) } };
+        }
+
+        return violation ? [formatMessage(translate(violation.message, locale), violation.parameters)] : [];
+    }
+
+    /**
+     * @return {Date|null}
+     */
+    getMin() {
+        return this._min ? new Date(this._min.getTime()) : null;
+    }
+
+    /**
+     * @return {Date|null}
+     */
+    getMax() {
+        return this._max ? new Date(this._max.getTime()) : null;
+    }
+
+    /**
+     * Sets the range of the selectable dates.
+     *
+     * @param {Date|string|null} min
+     * @param {Date|string|null} max
+     *
+     * @return {DateField}
+     */
+    setRange(min, max) {
+        this._min = toDate(min);
+        this._max = toDate(max);
+        this._adapter.setRange(this, this.getMin(), this.getMax());
+
+        return this;
+    }
+
+    /**
+     * Gets the value converter, to use with the Form.setValueConverter() method.
+     *
+     * @return {{parse: function, format: function}}
+     */
+    getConverter() {
+        return {
+            parse: (value) => (value === '' || value === null || value === undefined) ? null : this._adapter.parse(value, this),
+            format: (value) => {
+                const date = toDate(value);
+
+                return date ? this._adapter.format(date, this) : (value === null || value === undefined ? '' : String(value));
+            }
+        };
+    }
+
+    /**
+     * Removes the date picker.
+     */
+    destroy() {
+        this._adapter.detach(this);
+    }
+}
+
+/**
+ * @param {Date|string|null|undefined} value
+ *
+ * @return {Date|null} The copy of the date, or the date parsed from string in format "YYYY-MM-DD".
+ */
+export function toDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : new Date(value.getTime());
+    }
+
+    return typeof value === 'string' ? parseIsoDate(value) : null;
+}
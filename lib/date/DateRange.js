@@ -0,0 +1,370 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import DateField, { toDate } from './DateField.js';
+import { formatMessage } from '../validation/Validator.js';
+import { translate } from '../validation/messages.js';
+
+const dayTime = 24 * 60 * 60 * 1000;
+
+export const defaultMessages = {
+    invalid: 'This value is not a valid date.',
+    min: 'This value should be {{ limit }} or later.',
+    max: 'This value should be {{ limit }} or earlier.',
+    future: 'This value should not be a future date.',
+    order: 'The end date should not be earlier than the start date.',
+    sameDay: 'The end date should be later than the start date.',
+    maxSpan: 'The date range should not be longer than {{ limit }} days.'
+};
+
+/**
+ * The range presets. Functions called with the today date, returning the start and end date of the range.
+ */
+export const defaultPresets = {
+    today: (today) => [today, today],
+    yesterday: (today) => [addDays(today, -1), addDays(today, -1)],
+    last7Days: (today) => [addDays(today, -6), today],
+    last30Days: (today) => [addDays(today, -29), today],
+    thisMonth: (today) => [new Date(today.getFullYear(), today.getMonth(), 1), new Date(today.getFullYear(), today.getMonth() + 1, 0)],
+    lastMonth: (today) => [new Date(today.getFullYear(), today.getMonth() - 1, 1), new Date(today.getFullYear(), today.getMonth(), 0)],
+    thisYear: (today) => [new Date(today.getFullYear(), 0, 1), new Date(today.getFullYear(), 11, 31)]
+};
+
+/**
+ * Range of two date fields (start and end date). Limits the selectable dates of the fields, every time the date
+ * of one of the fields changes, and validates the range.
+ */
+export default class DateRange {
+    /**
+     * @param {DateField} from The start date field.
+     * @param {DateField} to The end date field.
+     * @param {{}}        [options]
+     * @param {boolean}   [options.allowFuture = true] Whether the dates after today are allowed.
+     * @param {boolean}   [options.allowSameDay = true] Whether the start and end date may be the same day.
+     * @param {int|null}  [options.maxSpan = null] The maximum number of days between the start and end date.
+     * @param {Date|string|null} [options.min] The minimum date of the range.
+     * @param {Date|string|null} [options.max] The maximum date of the range.
+     * @param {{}}        [options.presets] The range presets, overriding the default ones (see "defaultPresets").
+     *                                      Functions called with the today date, returning [from, to] dates.
+     * @param {string}    [options.preset] The name of the preset to apply initially.
+     * @param {Date|string|null} [options.from] The initial start date. Ignored when the "preset" option is specified.
+     * @param {Date|string|null} [options.to] The initial end date. Ignored when the "preset" option is specified.
+     * @param {{}}        [options.messages] The error messages, overriding the default ones (see "defaultMessages").
+     */
+    constructor(from, to, options = {}) {
+        if (!(from instanceof DateField) || !(to instanceof DateField)) {
+            throw new TypeError('Invalid date range fields. Expected DateField instances.');
+        }
+
+        const { maxSpan = null } = options;
+
+        if (maxSpan !== null && !(Number.isInteger(maxSpan) && maxSpan >= 0)) {
+            throw new TypeError(`Invalid "maxSpan" option. Expected not negative integer or null, but got "${maxSpan}".`);
+        }
+
+        this._from = from;
+        this._to = to;
+        this._allowFuture = options.allowFuture !== false;
+        this._allowSameDay = options.allowSameDay !== false;
+        this._maxSpan = maxSpan;
+        this._min = toDate(options.min);
+        this._max = toDate(options.max);
+        this._presets = Object.assign({}, defaultPresets);
+        this._messages = Object.assign({}, defaultMessages, options.messages);
+
+        for (const name in options.presets || {}) {
+            this.setPreset(name, options.presets[name]);
+        }
+
+        this._listener = () => this.update();
+        from.getElement().addEventListener('change', this._listener);
+        to.getElement().addEventListener('change', this._listener);
+
+        if (options.preset !== undefined) {
+            this.applyPreset(options.preset);
+        } else if (options.from !== undefined || options.to !== undefined) {
+            this.setDates(options.from, options.to);
+        } else {
+            this.update();
+        }
+    }
+
+    /**
+     * @return {DateField}
+     */
+    getFrom() {
+        return this._from;
+    }
+
+    /**
+     * @return {DateField}
+     */
+    getTo() {
+        return this._to;
+    }
+
+    /**
+     * @return {{from: Date|null, to: Date|null}}
+     */
+    getDates() {
+        return {
+            from: this._from.getDate(),
+            to: this._to.getDate()
+        };
+    }
+
+    /**
+     * Sets the start and end date, and updates the selectable dates of the fields.
+     *
+     * @param {Date|string|null} from
+     * @param {Date|string|null} to
+     *
+     * @return {DateRange}
+     */
+    setDates(from, to) {
+        this._from.setDate(from === undefined ? null : from);
+        this._to.setDate(to === undefined ? null : to);
+
+        return this.update();
+    }
+
+    /**
+     * @param {string} name
+     * @param {function} preset The function called with the today date, returning [from, to] dates.
+     *
+     * @return {DateRange}
+     */
+    setPreset(name, preset) {
+        if (typeof preset !== 'function') {
+            throw new TypeError(`Invalid preset "${name}". Expected function, but got "${typeof preset}".`);
+        }
+
+        this._presets[name] = preset;
+
+        return this;
+    }
+
+    /**
+     * @return {string[]} The preset names.
+     */
+    getPresetNames() {
+        return Object.keys(this._presets);
+    }
+
+    /**
+     * Sets the dates of the preset. The dates are limited to the minimum and maximum date,
+     * and to today when future dates are not allowed.
+     *
+     * @param {string} name The preset name e.g. "last7Days", "thisMonth".
+     *
+     * @return {DateRange}
+     */
+    applyPreset(name) {
+        if (!this._presets.hasOwnProperty(name)) {
+            throw new TypeError(`The date range preset "${name}" does not exist. Available presets: "${this.getPresetNames().join('", "')}".`);
+        }
+
+        const [from, to] = this._presets[name](today()).map(toDate);
+        const min = this._min;
+        const max = this._getMax();
+
+        this._from.setDate(from ? latest(earliest(from, max), min) : null);
+        this._to.setDate(to ? latest(earliest(to, max), min) : null);
+
+        return this.update();
+    }
+
+    /**
+     * Updates the selectable dates of the fields, depending on the dates of the range.
+     * Called when the date of one of the fields changes.
+     *
+     * @return {DateRange}
+     */
+    update() {
+        const { from, to } = this.getDates();
+        const gap = this._allowSameDay ? 0 : 1;
+        const max = this._getMax();
+        let fromMin = this._min;
+        let fromMax = max;
+        let toMin = this._min;
+        let toMax = max;
+
+        if (to) {
+            fromMax = earliest(fromMax, addDays(to, -gap));
+
+            if (this._maxSpan !== null) {
+                fromMin = latest(fromMin, addDays(to, -this._maxSpan));
+            }
+        }
+
+        if (from) {
+            toMin = latest(toMin, addDays(from, gap));
+
+            if (this._maxSpan !== null) {
+                toMax = earliest(toMax, addDays(from, this._maxSpan));
+            }
+        }
+
+        this._from.setRange(fromMin, fromMax);
+        this._to.setRange(toMin, toMax);
+
+        return this;
+    }
+
+    /**
+     * Validates the dates of the range.
+     *
+     * @param {string} [locale] The locale of the messages. Default the current locale of the messages catalog
+     *                          (see lib/validation/messages.js).
+     *
+     * @return {{from: string[], to: string[]}} The error messages of the start and end date field.
+     */
+    validate(locale) {
+        const format = (violation) => formatMessage(translate(violation.message, locale), violation.parameters);
+
+        return {
+            from: this._getViolations('from').map(format),
+            to: this._getViolations('to').map(format)
+        };
+    }
+
+    /**
+     * @return {boolean} Whether the dates of the range are valid.
+     */
+    isValid() {
+        const errors = this.validate();
+
+        return errors.from.length === 0 && errors.to.length === 0;
+    }
+
+    /**
+     * Creates the validation constraint of the start or end date field (see lib/validation/constraints.js).
+     *
+     * @param {string} field "from" or "to".
+     *
+     * @return {{name: string, validate: function}}
+     */
+    createConstraint(field) {
+        if (field !== 'from' && field !== 'to') {
+            throw new TypeError(`Invalid date range field "${field}". Expected "from" or "to".`);
+        }
+
+        return {
+            name: 'dateRange',
+            validate: () => this._getViolations(field)[0] || null
+        };
+    }
+
+    /**
+     * Removes the listeners of the fields. The date pickers are not removed.
+     */
+    destroy() {
+        this._from.getElement().removeEventListener('change', this._listener);
+        this._to.getElement().removeEventListener('change', this._listener);
+    }
+
+    /**
+     * @param {string} field "from" or "to".
+     *
+     * @return {{message: string, parameters: {}}[]}
+     * @private
+     */
+    _getViolations(field) {
+        const dateField = field === 'from' ? this._from : this._to;
+        const violation = (message, limit = null) => ({ message: this._messages[message], parameters: { limit } });
+
+        if (dateField.getElement().value.trim() === '') {
+            return [];
+        }
+
+        const date = dateField.getDate();
+
+        if (!date) {
+            return [violation('invalid')];
+        }
+
+        const violations = [];
+
+        if (this._min && date < this._min) {
+            violations.push(violation('min', dateField.getAdapter().format(this._min, dateField)));
+        }
+
+        if (this._max && date > this._max) {
+            violations.push(violation('max', dateField.getAdapter().format(this._max, dateField)));
+        } else if (!this._allowFuture && date > today()) {
+            violations.push(violation('future'));
+        }
+
+        const { from, to } = this.getDates();
+
+        if (field === 'to' && from) {
+            if (to < from) {
+                violations.push(violation('order'));
+            } else if (!this._allowSameDay && to.getTime() === from.getTime()) {
+                violations.push(violation('sameDay'));
+            } else if (this._maxSpan !== null && countDays(from, to) > this._maxSpan) {
+                violations.push(violation('maxSpan', this._maxSpan));
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * @return {Date|null} The maximum date, limited to today when future dates are not allowed.
+     * @private
+     */
+    _getMax() {
+        return this._allowFuture ? this._max : earliest(this._max, today());
+    }
+}
+
+/**
+ * @return {Date} The today date (local time midnight).
+ */
+function today() {
+    const now = new Date();
+
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+/**
+ * @param {Date} date
+ * @param {int} days
+ *
+ * @return {Date} The new Date object.
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * @param {Date} from
+ * @param {Date} to
+ *
+ * @return {int} The number of days between the dates.
+ */
+function countDays(from, to) {
+    return Math.round((to.getTime() - from.getTime()) / dayTime);
+}
+
+/**
+ * @param {Date|null} a
+ * @param {Date|null} b
+ *
+ * @return {Date|null} The earlier of the dates. Null dates are ignored.
+ */
+function earliest(a, b) {
+    return !a || (b && b < a) ? b : a;
+}
+
+/**
+ * @param {Date|null} a
+ * @param {Date|null} b
+ *
+ * @return {Date|null} The later of the dates. Null dates are ignored.
+ */
+function latest(a, b) {
+    return !a || (b && b > a) ? b : a;
+}
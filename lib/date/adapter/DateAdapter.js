@@ -0,0 +1,65 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import { parseDate, formatDate } from '../dateFormat.js';
+
+/**
+ * Base class of the date picker adapter, connecting the date field with the date picker.
+ *
+ * The base adapter does not use any date picker (the date is typed into the text input in the field format).
+ * Adapters of other date pickers may extend this class and override the "attach", "detach" and "setRange"
+ * methods, and optionally the "parse" and "format" methods.
+ * The adapter should dispatch the "change" event on the field element, when the date has been selected.
+ */
+export default class DateAdapter {
+    /**
+     * Creates the date picker of the field element.
+     *
+     * @param {DateField} field
+     */
+    attach(field) {
+    }
+
+    /**
+     * Removes the date picker of the field element.
+     *
+     * @param {DateField} field
+     */
+    detach(field) {
+    }
+
+    /**
+     * Sets the range of the selectable dates.
+     *
+     * @param {DateField} field
+     * @param {Date|null} min
+     * @param {Date|null} max
+     */
+    setRange(field, min, max) {
+    }
+
+    /**
+     * Parses the element value.
+     *
+     * @param {string} value Not empty element value.
+     * @param {DateField} field
+     *
+     * @return {Date|null} The date or null, when the value is not a valid date.
+     */
+    parse(value, field) {
+        return parseDate(value, field.getFormat('php'), 'php', field.getNames());
+    }
+
+    /**
+     * Formats the date into the element value.
+     *
+     * @param {Date} date
+     * @param {DateField} field
+     *
+     * @return {string}
+     */
+    format(date, field) {
+        return formatDate(date, field.getFormat('php'), 'php', field.getNames());
+    }
+}
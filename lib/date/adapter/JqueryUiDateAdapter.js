@@ -0,0 +1,96 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import DateAdapter from './DateAdapter.js';
+
+/**
+ * Uses the jQuery UI datepicker. Requires jQuery and the jQuery UI datepicker widget:
+ *
+ *     import $ from 'jquery';
+ *     import 'jquery-ui/ui/widgets/datepicker';
+ *
+ * Day and month names are taken from the datepicker regional settings.
+ */
+export default class JqueryUiDateAdapter extends DateAdapter {
+    /**
+     * @param {{}} [options] The datepicker options. See https://api.jqueryui.com/datepicker.
+     * @param {jQuery} [jQuery = window.jQuery]
+     */
+    constructor(options = {}, jQuery) {
+        super();
+        this._options = options;
+        this._$ = jQuery || (typeof window !== 'undefined' ? window.jQuery : undefined);
+    }
+
+    attach(field) {
+        const $ = this._getJquery();
+        const element = field.getElement();
+        const options = this._options;
+
+        $(element).datepicker(Object.assign({}, options, {
+            dateFormat: field.getFormat('jqueryui'),
+            onSelect(...args) {
+                // The datepicker triggers the jQuery "change" event only, not handled by the native listeners.
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+
+                if (options.onSelect) {
+                    options.onSelect.apply(this, args);
+                }
+            }
+        }));
+    }
+
+    detach(field) {
+        this._getJquery()(field.getElement()).datepicker('destroy');
+    }
+
+    setRange(field, min, max) {
+        this._getJquery()(field.getElement()).datepicker('option', { minDate: min, maxDate: max });
+    }
+
+    parse(value, field) {
+        try {
+            return this._getJquery().datepicker.parseDate(field.getFormat('jqueryui'), value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    format(date, field) {
+        return this._getJquery().datepicker.formatDate(field.getFormat('jqueryui'), date);
+    }
+
+    /**
+     * Detects the region of the datepicker default settings (set with `$.datepicker.setDefaults($.datepicker.regional[region])`).
+     *
+     * @return {string|null} The region e.g. "pl", "en-GB", or "en" for the default region,
+     *                       or null when the default settings do not match any of the loaded regions.
+     */
+    getRegion() {
+        const datepicker = this._getJquery().datepicker;
+        const monthNames = (datepicker._defaults.monthNames || []).join();
+
+        for (const region in datepicker.regional) {
+            if ((datepicker.regional[region].monthNames || []).join() === monthNames) {
+                return region === '' ? 'en' : region;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @return {jQuery}
+     * @private
+     */
+    _getJquery() {
+        const $ = this._$;
+
+        if (!$ || !$.datepicker) {
+            throw new Error('The jQuery UI datepicker is not loaded.');
+        }
+
+        return $;
+    }
+}
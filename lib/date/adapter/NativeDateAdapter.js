@@ -0,0 +1,55 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import DateAdapter from './DateAdapter.js';
+import { parseDate, formatDate } from '../dateFormat.js';
+
+/**
+ * Uses the browser date picker of the `input[type="date"]` element. The element value has always format "YYYY-MM-DD"
+ * (the displayed format depends on the browser locale), so the field format is not used.
+ */
+export default class NativeDateAdapter extends DateAdapter {
+    constructor() {
+        super();
+        this._types = new WeakMap();
+    }
+
+    attach(field) {
+        const element = field.getElement();
+
+        if (element.type !== 'date') {
+            this._types.set(element, element.getAttribute('type'));
+            element.setAttribute('type', 'date');
+        }
+    }
+
+    detach(field) {
+        const element = field.getElement();
+
+        if (this._types.has(element)) {
+            element.setAttribute('type', this._types.get(element) || 'text');
+            this._types.delete(element);
+        }
+    }
+
+    setRange(field, min, max) {
+        const element = field.getElement();
+
+        for (const [attribute, date] of [['min', min], ['max', max]]) {
+            if (date) {
+                element.setAttribute(attribute, this.format(date));
+            } else {
+                element.removeAttribute(attribute);
+            }
+        }
+    }
+
+    parse(value) {
+        return parseDate(value, 'Y-m-d');
+    }
+
+    format(date) {
+        return formatDate(date, 'Y-m-d');
+    }
+}
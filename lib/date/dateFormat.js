@@ -0,0 +1,456 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Date format converter, formatter and parser, supporting the date format syntaxes:
+ *  - "php" PHP date() format e.g. "d.m.Y", "j F Y"
+ *  - "icu" ICU (Intl, Symfony DateType) format e.g. "dd.MM.yyyy", "d MMMM y"
+ *  - "jqueryui" jQuery UI datepicker format e.g. "dd.mm.yy", "d MM yy"
+ *
+ * Supported are day, day name, month, month name and year tokens:
+ *  - "php" "d", "j", "D", "l", "m", "n", "M", "F", "y", "Y"
+ *  - "icu" "d", "dd", "E" (1 to 4 letters), "M" and "L" (1 to 4 letters), "y", "yy", "yyyy"
+ *  - "jqueryui" "d", "dd", "D", "DD", "m", "mm", "M", "MM", "y", "yy"
+ *
+ * Not supported tokens are rejected with the TypeError:
+ *  - "php" "S" (English ordinal suffix), "N", "w" (day of week number), "z" (day of year), "W" (week number),
+ *    "t" (days in month), "L" (leap year), "o", "X", "x" (ISO and expanded year) and the time tokens
+ *  - "icu" era, week, quarter, day of year, day of week number, ISO and extended year letters and the time letters
+ *  - "jqueryui" "o" (day of year), "@" (Unix timestamp), "!" (Windows ticks)
+ *
+ * The format with time tokens (e.g. "d.m.Y H:i") is rejected. Use the input element with type "datetime-local"
+ * for the date and time.
+ */
+
+import { escapeRegExp } from '../utils.js';
+
+const syntaxes = ['php', 'icu', 'jqueryui'];
+
+// Format tokens of the syntaxes, with the token name as key.
+const tokens = {
+    php: {
+        day: 'j', day2: 'd', dayNameShort: 'D', dayName: 'l',
+        month: 'n', month2: 'm', monthNameShort: 'M', monthName: 'F',
+        year2: 'y', year4: 'Y'
+    },
+    icu: {
+        day: 'd', day2: 'dd', dayNameShort: 'EEE', dayName: 'EEEE',
+        month: 'M', month2: 'MM', monthNameShort: 'MMM', monthName: 'MMMM',
+        year2: 'yy', year4: 'yyyy'
+    },
+    jqueryui: {
+        day: 'd', day2: 'dd', dayNameShort: 'D', dayName: 'DD',
+        month: 'm', month2: 'mm', monthNameShort: 'M', monthName: 'MM',
+        year2: 'y', year4: 'yy'
+    }
+};
+
+// Time (and time zone) letters of the syntaxes.
+const timeLetters = {
+    php: 'aABgGhHisuveIOPpTZcrU',
+    icu: 'abBhHkKmsSAzZOvVXx'
+};
+
+// ICU pattern letters with the token name for the number of the repeated letters.
+const icuLetters = {
+    d: ['day', 'day2'],
+    E: ['dayNameShort', 'dayNameShort', 'dayNameShort', 'dayName'],
+    M: ['month', 'month2', 'monthNameShort', 'monthName'],
+    L: ['month', 'month2', 'monthNameShort', 'monthName'],
+    y: ['year4', 'year2', 'year4', 'year4']
+};
+
+// The name lists of the name tokens.
+const nameLists = {
+    dayNameShort: 'dayNamesShort',
+    dayName: 'dayNames',
+    monthNameShort: 'monthNamesShort',
+    monthName: 'monthNames'
+};
+
+export const defaultNames = {
+    dayNames: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    dayNamesShort: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    monthNames: ['January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'],
+    monthNamesShort: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+};
+
+/**
+ * Splits the date format into the tokens and literals.
+ *
+ * @param {string} format
+ * @param {string} [syntax = "php"] One of "php", "icu", "jqueryui".
+ *
+ * @return {{token: string}|{literal: string}[]}
+ * @throws TypeError when the format contains not supported token.
+ */
+export function parseFormat(format, syntax = 'php') {
+    if (syntaxes.indexOf(syntax) === -1) {
+        throw new TypeError(`Invalid date format syntax "${syntax}". Expected one of "${syntaxes.join('", "')}".`);
+    }
+
+    if (typeof format !== 'string' || format === '') {
+        throw new TypeError('Invalid date format. Expected not empty string.');
+    }
+
+    const parts = syntax === 'php' ? parsePhpFormat(format) : (syntax === 'icu' ? parseIcuFormat(format) : parseJqueryUiFormat(format));
+
+    // Joins adjacent literals.
+    return parts.reduce(function (result, part) {
+        const last = result[result.length - 1];
+
+        if (part.literal !== undefined && last && last.literal !== undefined) {
+            last.literal += part.literal;
+        } else {
+            result.push(part);
+        }
+
+        return result;
+    }, []);
+}
+
+/**
+ * Converts the date format between the syntaxes, e.g. PHP "d.m.Y" into jQuery UI "dd.mm.yy".
+ *
+ * @param {string} format
+ * @param {string} from The format syntax: "php", "icu" or "jqueryui".
+ * @param {string} to The format syntax: "php", "icu" or "jqueryui".
+ *
+ * @return {string}
+ */
+export function convertFormat(format, from, to) {
+    return stringifyFormat(parseFormat(format, from), to);
+}
+
+/**
+ * @param {{token: string}|{literal: string}[]} parts The format tokens and literals.
+ * @param {string} syntax
+ *
+ * @return {string}
+ */
+export function stringifyFormat(parts, syntax) {
+    if (syntaxes.indexOf(syntax) === -1) {
+        throw new TypeError(`Invalid date format syntax "${syntax}". Expected one of "${syntaxes.join('", "')}".`);
+    }
+
+    return parts.map(function (part) {
+        if (part.token !== undefined) {
+            return tokens[syntax][part.token];
+        }
+
+        if (syntax === 'php') {
+            return part.literal.replace(/[\\a-zA-Z]/g, '\\$&');
+        }
+
+        if (/[a-zA-Z']/.test(part.literal)) {
+            return /[a-zA-Z]/.test(part.literal) ? `'${part.literal.replace(/'/g, "''")}'` : part.literal.replace(/'/g, "''");
+        }
+
+        return part.literal;
+    }).join('');
+}
+
+/**
+ * @param {Date} date
+ * @param {string} format
+ * @param {string} [syntax = "php"]
+ * @param {{}} [names] The day and month names (see the "defaultNames").
+ *
+ * @return {string}
+ */
+export function formatDate(date, format, syntax = 'php', names = {}) {
+    names = Object.assign({}, defaultNames, names);
+    const pad = (number) => (number < 10 ? '0' : '') + number;
+
+    return parseFormat(format, syntax).map(function (part) {
+        switch (part.token) {
+            case undefined:
+                return part.literal;
+            case 'day':
+                return String(date.getDate());
+            case 'day2':
+                return pad(date.getDate());
+            case 'dayNameShort':
+                return names.dayNamesShort[date.getDay()];
+            case 'dayName':
+                return names.dayNames[date.getDay()];
+            case 'month':
+                return String(date.getMonth() + 1);
+            case 'month2':
+                return pad(date.getMonth() + 1);
+            case 'monthNameShort':
+                return names.monthNamesShort[date.getMonth()];
+            case 'monthName':
+                return names.monthNames[date.getMonth()];
+            case 'year2':
+                return pad(date.getFullYear() % 100);
+            case 'year4':
+                return String(date.getFullYear());
+        }
+    }).join('');
+}
+
+/**
+ * Parses the date string in the given format into the Date object (local time midnight).
+ * Two-digit years are resolved into the years between 80 years before and 20 years after the current year.
+ *
+ * @param {string} value
+ * @param {string} format
+ * @param {string} [syntax = "php"]
+ * @param {{}} [names] The day and month names (see the "defaultNames").
+ *
+ * @return {Date|null} The date, or null when the value does not match the format or is not a valid date.
+ */
+export function parseDate(value, format, syntax = 'php', names = {}) {
+    names = Object.assign({}, defaultNames, names);
+    const fields = [];
+    let pattern = '';
+
+    for (const part of parseFormat(format, syntax)) {
+        if (part.token === undefined) {
+            pattern += escapeRegExp(part.literal);
+
+            continue;
+        }
+
+        fields.push(part.token);
+
+        switch (part.token) {
+            case 'day':
+            case 'month':
+                pattern += '(\\d{1,2})';
+                break;
+            case 'day2':
+            case 'month2':
+            case 'year2':
+                pattern += '(\\d{2})';
+                break;
+            case 'year4':
+                pattern += '(\\d{4})';
+                break;
+            default:
+                pattern += '(' + names[nameLists[part.token]].map(escapeRegExp).join('|') + ')';
+        }
+    }
+
+    const match = new RegExp('^' + pattern + '$', 'i').exec(String(value).trim());
+
+    if (!match) {
+        return null;
+    }
+
+    const today = new Date();
+    let year = today.getFullYear();
+    let month = 0;
+    let day = 1;
+
+    fields.forEach(function (field, i) {
+        const matched = match[i + 1];
+        const index = (list) => list.map((name) => name.toLowerCase()).indexOf(matched.toLowerCase());
+
+        switch (field) {
+            case 'day':
+            case 'day2':
+                day = parseInt(matched, 10);
+                break;
+            case 'month':
+            case 'month2':
+                month = parseInt(matched, 10) - 1;
+                break;
+            case 'monthNameShort':
+                month = index(names.monthNamesShort);
+                break;
+            case 'monthName':
+                month = index(names.monthNames);
+                break;
+            case 'year2':
+                year = Math.floor(today.getFullYear() / 100) * 100 + parseInt(matched, 10);
+
+                if (year > today.getFullYear() + 20) {
+                    year -= 100;
+                }
+
+                break;
+            case 'year4':
+                year = parseInt(matched, 10);
+                break;
+        }
+    });
+
+    const date = new Date(year, month, day);
+
+    if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+        return null;
+    }
+
+    return date;
+}
+
+/**
+ * @param {string} format
+ *
+ * @return {[]}
+ */
+function parsePhpFormat(format) {
+    const names = invert(tokens.php);
+    const parts = [];
+
+    for (let i = 0; i < format.length; i++) {
+        const char = format.charAt(i);
+
+        if (char === '\\') {
+            parts.push({ literal: format.charAt(++i) });
+        } else if (names.hasOwnProperty(char)) {
+            parts.push({ token: names[char] });
+        } else if (timeLetters.php.indexOf(char) !== -1) {
+            throw new TypeError(`Not supported time token "${char}" of the PHP date format "${format}". Only date tokens are supported.`);
+        } else if (/[a-zA-Z]/.test(char)) {
+            throw new TypeError(`Not supported token "${char}" of the PHP date format "${format}". Escape the letter `
+                + 'with the backslash, to use it as literal.');
+        } else {
+            parts.push({ literal: char });
+        }
+    }
+
+    return parts;
+}
+
+/**
+ * @param {string} format
+ *
+ * @return {[]}
+ */
+function parseIcuFormat(format) {
+    const parts = [];
+    let i = 0;
+
+    while (i < format.length) {
+        const char = format.charAt(i);
+
+        if (char === "'") {
+            const [literal, next] = readQuoted(format, i);
+            parts.push({ literal });
+            i = next;
+
+            continue;
+        }
+
+        if (/[a-zA-Z]/.test(char)) {
+            let count = 1;
+
+            while (format.charAt(i + count) === char) {
+                count++;
+            }
+
+            if (timeLetters.icu.indexOf(char) !== -1) {
+                throw new TypeError(`Not supported time token "${format.substr(i, count)}" of the ICU date format "${format}". Only date tokens are supported.`);
+            }
+
+            if (!icuLetters.hasOwnProperty(char)) {
+                throw new TypeError(`Not supported letter "${char}" of the ICU date format "${format}".`);
+            }
+
+            const names = icuLetters[char];
+            parts.push({ token: names[Math.min(count, names.length) - 1] });
+            i += count;
+
+            continue;
+        }
+
+        parts.push({ literal: char });
+        i++;
+    }
+
+    return parts;
+}
+
+/**
+ * @param {string} format
+ *
+ * @return {[]}
+ */
+function parseJqueryUiFormat(format) {
+    const names = invert(tokens.jqueryui);
+    const parts = [];
+    let i = 0;
+
+    while (i < format.length) {
+        const char = format.charAt(i);
+
+        if (char === "'") {
+            const [literal, next] = readQuoted(format, i);
+            parts.push({ literal });
+            i = next;
+
+            continue;
+        }
+
+        if ('o@!'.indexOf(char) !== -1) {
+            throw new TypeError(`Not supported character "${char}" of the jQuery UI date format "${format}".`);
+        }
+
+        const double = format.substr(i, 2);
+
+        if (double.charAt(1) === char && names.hasOwnProperty(double)) {
+            parts.push({ token: names[double] });
+            i += 2;
+        } else if (names.hasOwnProperty(char)) {
+            parts.push({ token: names[char] });
+            i++;
+        } else {
+            parts.push({ literal: char });
+            i++;
+        }
+    }
+
+    return parts;
+}
+
+/**
+ * Reads the quoted literal of the ICU or jQuery UI format. Two single quotes represent the quote character.
+ *
+ * @param {string} format
+ * @param {int} start The index of the opening quote.
+ *
+ * @return {[string, int]} The literal and the index of the character following the closing quote.
+ */
+function readQuoted(format, start) {
+    if (format.charAt(start + 1) === "'") {
+        return ["'", start + 2];
+    }
+
+    let literal = '';
+    let i = start + 1;
+
+    while (i < format.length) {
+        if (format.charAt(i) === "'") {
+            if (format.charAt(i + 1) !== "'") {
+                return [literal, i + 1];
+            }
+
+            i++;
+        }
+
+        literal += format.charAt(i);
+        i++;
+    }
+
+    return [literal, i];
+}
+
+/**
+ * @param {{}} object
+ *
+ * @return {{}}
+ */
+function invert(object) {
+    const inverted = {};
+
+    for (const key in object) {
+        inverted[object[key]] = key;
+    }
+
+    return inverted;
+}
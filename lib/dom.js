@@ -0,0 +1,37 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * DOM helpers shared by the form components.
+ */
+
+const formElementSelector = 'button, input, select, textarea';
+
+/**
+ * @param {Node} node
+ *
+ * @return {Element[]} The node, if it is the form element, and the form elements contained in the node.
+ */
+export function getFormElements(node) {
+    if (!(node instanceof Element)) {
+        return [];
+    }
+
+    const elements = Array.from(node.querySelectorAll(formElementSelector));
+
+    if (node.matches(formElementSelector)) {
+        elements.unshift(node);
+    }
+
+    return elements;
+}
+
+/**
+ * @param {EventTarget} target
+ *
+ * @return {Element|null} The form element being or containing the target.
+ */
+export function closestFormElement(target) {
+    return target instanceof Element ? target.closest(formElementSelector) : null;
+}
@@ -28,138 +28,227 @@
  * and make the following setup:
  *     $.datepicker.setDefaults($.datepicker.regional['{region}']);
  *
- * @todo Optimize method logic.
+ * or call the "setLocale" function of this helper, which sets also the locale of the validation messages.
+ *
+ * Validation messages are translated with the messages catalog (see lib/validation/messages.js), into the locale
+ * of the datepicker region, e.g. for the "pl" region:
+ *     import { addMessages } from '@arturdoruch/form/lib/validation/messages.js';
+ *     import pl from '@arturdoruch/form/lib/validation/translations/pl.js';
+ *
+ *     addMessages('pl', pl);
+ *
+ * The helper uses the DateField (lib/date/DateField.js) with the JqueryUiDateAdapter. For other date pickers
+ * use the DateField with the adapter of the date picker.
+ *
+ * The date format is in the jQuery UI syntax by default (e.g. "dd.mm.yy"). Like in the previous versions,
+ * the "Y", "yyyy", "F" and "n" letters of the format are replaced with the "y", "yy", "MM" and "m" jQuery UI tokens,
+ * when the "formatSyntax" option is not specified. Pass the "formatSyntax" option to use the PHP or ICU syntax.
  */
 
+import DateField from '../date/DateField.js';
+import DateRange from '../date/DateRange.js';
+import JqueryUiDateAdapter from '../date/adapter/JqueryUiDateAdapter.js';
+import Bootstrap3ErrorRenderer from '../renderer/Bootstrap3ErrorRenderer.js';
+import { setAriaErrors } from '../renderer/aria.js';
+import { setLocale as setMessagesLocale } from '../validation/messages.js';
+
 export default {
     register,
     registerDateRange,
+    setLocale,
+}
+
+/**
+ * Sets the datepicker region (when the region localization is loaded) and the locale of the validation messages.
+ *
+ * @param {string} locale The locale e.g. "pl", "en-GB".
+ * @param {jQuery} [jQuery = window.jQuery]
+ */
+function setLocale(locale, jQuery = window.jQuery) {
+    setMessagesLocale(locale);
+
+    if (!jQuery || !jQuery.datepicker) {
+        return;
+    }
+
+    const regional = jQuery.datepicker.regional;
+    const region = [locale, locale.split(/[-_]/)[0]].find((region) => regional.hasOwnProperty(region));
+
+    if (region !== undefined || locale.split(/[-_]/)[0] === 'en') {
+        jQuery.datepicker.setDefaults(regional[region === undefined ? '' : region]);
+    }
 }
 
 /**
  * @param {Node} dateElement The form input element.
- * @param {string} [format = "dd.mm.yy"] Format of displayed date.
- *                                       See https://api.jqueryui.com/datepicker/#option-dateFormat for the available options.
- * @param {{}} options
+ * @param {string} [format = "dd.mm.yy"] Format of displayed date, in the syntax specified with the "formatSyntax" option.
+ * @param {{}} options The datepicker options (see https://api.jqueryui.com/datepicker) and the following:
+ * @param {string} [options.formatSyntax = "jqueryui"] The format syntax: "php", "icu" or "jqueryui".
+ * @param {string} [options.locale] The locale of the validation messages. Default the datepicker region.
+ * @param {ErrorRenderer} [options.errorRenderer] The renderer of the validation messages.
+ *                                                Default Bootstrap3ErrorRenderer (see lib/renderer/).
+ *
+ * @return {DateField}
  */
 function register(dateElement, format = 'dd.mm.yy', options = {}) {
-    const $date = $(dateElement);
-    format = prepareFormat(format);
-
-    $date.datepicker($.extend({
-        dateFormat: format,
-        onSelect(date) {
-            try {
-                date = $.datepicker.parseDate(format, date);
-            } catch (error) {
-                markInputInvalid($date, true);
-            }
-        },
-        onClose() {
-            validateDate($date, format);
-        }
-    }, options));
+    const { formatSyntax, locale, errorRenderer, ...pickerOptions } = options;
+    const field = createField(dateElement, prepareFormat(format, formatSyntax), formatSyntax || 'jqueryui', pickerOptions);
+    const renderer = createErrorRenderer(errorRenderer);
+
+    addValidationListener([field], function () {
+        renderErrors(field, field.validate(getLocale(field, locale)), renderer);
+    });
+
+    return field;
 }
 
 /**
  * @param {Node} dateFromElement The form input element with start date.
  * @param {Node} dateToElement The form input element with end date.
- * @param {string} [format = "dd.mm.yy"] Format of displayed date.
- *                                       See https://api.jqueryui.com/datepicker/#option-dateFormat for the available options.
+ * @param {string} [format = "dd.mm.yy"] Format of displayed date, in the syntax specified with the "formatSyntax" option.
+ * @param {{}} [options] The DateRange options (see lib/date/DateRange.js) and the following:
+ * @param {string} [options.formatSyntax = "jqueryui"] The format syntax: "php", "icu" or "jqueryui".
+ * @param {boolean} [options.allowFuture = true] Whether the dates after today are allowed.
+ * @param {boolean} [options.allowSameDay = false] Whether the start and end date may be the same day.
+ *                                                Unlike in the DateRange, by default the end date must be later
+ *                                                than the start date (as in the previous versions).
+ * @param {Form} [options.form] The form of the elements. When specified, the range errors are displayed
+ *                              with the form error renderer (translated into the current locale of the messages catalog).
+ * @param {string} [options.locale] The locale of the validation messages. Default the datepicker region.
+ * @param {ErrorRenderer} [options.errorRenderer] The renderer of the validation messages.
+ *                                                Default Bootstrap3ErrorRenderer (see lib/renderer/).
+ * @param {{}} [options.pickerOptions] The datepicker options (see https://api.jqueryui.com/datepicker).
+ *
+ * @return {DateRange}
  */
-function registerDateRange(dateFromElement, dateToElement, format = 'dd.mm.yy') {
-    const $dateFrom = $(dateFromElement);
-    const $dateTo = $(dateToElement);
-    format = prepareFormat(format);
-
-    $dateFrom.datepicker({
-        dateFormat: format,
-        maxDate: new Date(),
-        onSelect(date) {
-            try {
-                date = $.datepicker.parseDate(format, date);
-            } catch (error) {
-                markInputInvalid($dateFrom, true);
-            }
-
-            // Set minimum selectable date for "dateTo" input field.
-            $dateTo.datepicker('option', 'minDate', modifyDay(date, 1));
-        },
-        onClose() {
-            validateDate($dateFrom, format);
-        }
-    });
+function registerDateRange(dateFromElement, dateToElement, format = 'dd.mm.yy', options = {}) {
+    const { formatSyntax, form, locale, errorRenderer, pickerOptions = {}, ...rangeOptions } = options;
+    const syntax = formatSyntax || 'jqueryui';
+
+    format = prepareFormat(format, formatSyntax);
+
+    rangeOptions.allowFuture = rangeOptions.allowFuture !== false;
+    rangeOptions.allowSameDay = rangeOptions.allowSameDay === true;
 
-    $dateTo.datepicker({
-        dateFormat: format,
-        minDate: modifyDay(new Date(), 1),
-        onSelect(date) {
-            try {
-                date = $.datepicker.parseDate(format, date);
-            } catch (error) {
-                markInputInvalid($dateTo, true);
-            }
-
-            // Set maximum selectable date for "dateFrom" input field.
-            $dateFrom.datepicker('option', 'maxDate', modifyDay(date, -1));
-        },
-        onClose() {
-            validateDate($dateTo, format);
-        }
+    if (form) {
+        const fieldOptions = () => ({ format, syntax, adapter: new JqueryUiDateAdapter(pickerOptions) });
+
+        form.dateField(dateFromElement.name, fieldOptions());
+        form.dateField(dateToElement.name, fieldOptions());
+
+        return form.dateRange(dateFromElement.name, dateToElement.name, rangeOptions);
+    }
+
+    const range = new DateRange(
+        createField(dateFromElement, format, syntax, pickerOptions),
+        createField(dateToElement, format, syntax, pickerOptions),
+        rangeOptions
+    );
+    const renderer = createErrorRenderer(errorRenderer);
+
+    addValidationListener([range.getFrom(), range.getTo()], function () {
+        const errors = range.validate(getLocale(range.getFrom(), locale));
+
+        renderErrors(range.getFrom(), errors.from, renderer);
+        renderErrors(range.getTo(), errors.to, renderer);
     });
+
+    return range;
 }
 
 /**
- * Convert PHP date format into JavaScript format.
+ * Replaces the PHP year and month letters of the format, when the format syntax is not specified
+ * (backward compatibility with the format accepted by the previous versions).
  *
  * @param {string} format
+ * @param {string} [syntax]
+ *
  * @return {string}
  */
-function prepareFormat(format) {
-    const _format = format
+function prepareFormat(format, syntax) {
+    if (syntax !== undefined || typeof format !== 'string') {
+        return format;
+    }
+
+    return format
         .replace(/Y/g, 'y')
         .replace(/yyyy/, 'yy')
         .replace(/F/, 'MM')
         .replace(/n/, 'm');
-
-    if (!/^(?=^[dmMy].+[dmMy]$)[dmMy,\-\.\/\\ ]{5,}$/.test(_format)) {
-        throw new TypeError(`Invalid date format "${format}".`);
-    }
-
-    return _format;
 }
 
 /**
- * @param {Date} date
- * @param {int} days
+ * @param {Node} element
+ * @param {string} format
+ * @param {string} syntax
+ * @param {{}} pickerOptions
+ *
+ * @return {DateField}
  */
-function modifyDay(date, days) {
-    date.setDate(date.getDate() + days);
-
-    return date;
+function createField(element, format, syntax, pickerOptions) {
+    return new DateField(element, {
+        format,
+        syntax,
+        adapter: new JqueryUiDateAdapter(pickerOptions)
+    });
 }
 
+/**
+ * Validates the dates, when the date is selected or the element loses focus.
+ *
+ * @param {DateField[]} fields
+ * @param {function} validate
+ */
+function addValidationListener(fields, validate) {
+    for (const field of fields) {
+        field.getElement().addEventListener('change', validate);
+        field.getElement().addEventListener('blur', validate);
+    }
+}
 
-function validateDate($date, format) {
-    const date = $date.val();
-    let invalid = false;
+/**
+ * @param {ErrorRenderer|undefined} renderer
+ *
+ * @return {ErrorRenderer}
+ */
+function createErrorRenderer(renderer) {
+    if (renderer === undefined) {
+        return new Bootstrap3ErrorRenderer();
+    }
 
-    if (date) {
-        try {
-            $.datepicker.parseDate(format, date);
-        } catch (error) {
-            invalid = true;
-            // todo Add error message.
-        }
+    if (!renderer || typeof renderer.render !== 'function' || typeof renderer.clear !== 'function') {
+        throw new TypeError('Invalid error renderer. Expected object with "render" and "clear" methods.');
     }
 
-    markInputInvalid($date, invalid);
+    return renderer;
+}
+
+/**
+ * @param {DateField} field
+ * @param {string} [locale]
+ *
+ * @return {string|undefined} The locale of the validation messages.
+ */
+function getLocale(field, locale) {
+    return locale || field.getAdapter().getRegion() || undefined;
 }
 
 /**
- * @param {jQuery} $date
- * @param {boolean} state
+ * Renders the error messages, and sets the "aria-invalid" and "aria-describedby" attributes of the element.
+ *
+ * @param {DateField} field
+ * @param {string[]} messages
+ * @param {ErrorRenderer} renderer
  */
-function markInputInvalid($date, state) {
-    $date.closest('div.form-group').toggleClass('has-error', state);
+function renderErrors(field, messages, renderer) {
+    const elements = [field.getElement()];
+    const name = field.getElement().name;
+
+    renderer.clear(elements, name);
+
+    if (messages.length > 0) {
+        renderer.render(elements, messages, name);
+    }
+
+    setAriaErrors(elements, messages.length > 0);
 }
@@ -0,0 +1,230 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Query string serializer and parser of the nested form data.
+ */
+
+import { formatDate, formatDateTime } from './converter/valueConverters.js';
+import { isStructure } from './utils.js';
+
+const arrayFormats = ['brackets', 'indices', 'repeat'];
+
+// Key segments, which would modify the object prototype.
+const forbiddenSegments = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Serializes the data into the query string.
+ *
+ * Arrays are serialized depending on the "arrayFormat" option:
+ *  - "brackets" "a[]=1&a[]=2" (arrays of objects are always serialized with indices "a[0][b]=1")
+ *  - "indices"  "a[0]=1&a[1]=2"
+ *  - "repeat"   "a=1&a=2"
+ *
+ * Null and undefined values are serialized as empty string, Date objects as local date
+ * "YYYY-MM-DD", or local date and time "YYYY-MM-DDTHH:MM[:SS]" when the time is not midnight.
+ * File, Blob and FileList values are omitted.
+ *
+ * @param {{}} data
+ * @param {{}} [options]
+ * @param {string} [options.arrayFormat = "brackets"] One of "brackets", "indices", "repeat".
+ *
+ * @return {string}
+ */
+export function stringify(data, options = {}) {
+    return toPairs(data, options.arrayFormat)
+        .filter((pair) => !isFile(pair[1]))
+        .map((pair) => encode(pair[0]) + '=' + encode(stringifyValue(pair[1])))
+        .join('&');
+}
+
+/**
+ * Parses the query string into the nested object,
+ * e.g. "a[b][]=1&a[b][]=2&c[0][d]=3" into {a: {b: ["1", "2"]}, c: [{d: "3"}]}.
+ * Repeated keys without brackets ("a=1&a=2") are parsed into array.
+ * Pairs with the "__proto__", "constructor" or "prototype" key segment are ignored.
+ *
+ * @param {string} query The query string, with or without leading "?".
+ *
+ * @return {{}}
+ */
+export function parse(query) {
+    const data = {};
+
+    for (const pair of String(query).replace(/^\?/, '').split('&')) {
+        if (!pair) {
+            continue;
+        }
+
+        const index = pair.indexOf('=');
+        const key = decode(index === -1 ? pair : pair.slice(0, index));
+        const value = index === -1 ? '' : decode(pair.slice(index + 1));
+        const match = /^([^\[]+)((?:\[[^\]]*\])*)$/.exec(key);
+
+        if (!match || !match[2]) {
+            if (forbiddenSegments.indexOf(key) !== -1) {
+                continue;
+            }
+
+            if (hasOwn(data, key)) {
+                data[key] = [].concat(data[key], value);
+            } else {
+                data[key] = value;
+            }
+
+            continue;
+        }
+
+        const segments = [match[1]].concat(match[2].match(/\[[^\]]*\]/g).map((segment) => segment.slice(1, -1)));
+        let object = data;
+
+        if (segments.some((segment) => forbiddenSegments.indexOf(segment) !== -1)) {
+            continue;
+        }
+
+        for (let i = 0; i < segments.length - 1; i++) {
+            const segment = segments[i] === '' && Array.isArray(object) ? object.length : segments[i];
+
+            if (!hasOwn(object, segment) || object[segment] === null || typeof object[segment] !== 'object') {
+                object[segment] = /^(\d+)?$/.test(segments[i + 1]) ? [] : {};
+            }
+
+            object = object[segment];
+        }
+
+        const last = segments[segments.length - 1];
+
+        if (last === '' && Array.isArray(object)) {
+            object.push(value);
+        } else {
+            object[last === '' ? Object.keys(object).length : last] = value;
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Converts the nested data into an object with {"element-name": "value"} pairs,
+ * e.g. {a: {b: ["1", "2"]}, c: [{d: 3}]} into {"a[b][]": ["1", "2"], "c[0][d]": 3}.
+ * Values are not converted into strings.
+ *
+ * @param {{}} data
+ *
+ * @return {{}}
+ */
+export function flatten(data) {
+    const flattened = {};
+
+    for (const [name, value] of toPairs(data)) {
+        if (/\[\]$/.test(name)) {
+            (flattened[name] = flattened[name] || []).push(value);
+        } else {
+            flattened[name] = value;
+        }
+    }
+
+    return flattened;
+}
+
+/**
+ * Converts the nested data into the list of [key, value] pairs. Values are not converted into strings.
+ *
+ * @param {{}} data
+ * @param {string} [arrayFormat = "brackets"]
+ *
+ * @return {[string, *][]}
+ */
+export function toPairs(data, arrayFormat = 'brackets') {
+    if (arrayFormats.indexOf(arrayFormat) === -1) {
+        throw new TypeError(`Invalid array format "${arrayFormat}". Expected one of "${arrayFormats.join('", "')}".`);
+    }
+
+    const pairs = [];
+
+    const build = function (key, value) {
+        if (Array.isArray(value)) {
+            value.forEach(function (item, index) {
+                if (isStructure(item) || arrayFormat === 'indices') {
+                    build(`${key}[${index}]`, item);
+                } else {
+                    build(arrayFormat === 'repeat' ? key : key + '[]', item);
+                }
+            });
+        } else if (isStructure(value)) {
+            for (const name in value) {
+                build(`${key}[${name}]`, value[name]);
+            }
+        } else {
+            pairs.push([key, value]);
+        }
+    };
+
+    for (const name in data) {
+        build(name, data[name]);
+    }
+
+    return pairs;
+}
+
+/**
+ * @param {*} value
+ *
+ * @return {boolean} Whether the value is a File, Blob or FileList object.
+ */
+export function isFile(value) {
+    return (typeof Blob !== 'undefined' && value instanceof Blob)
+        || (typeof FileList !== 'undefined' && value instanceof FileList);
+}
+
+/**
+ * @param {{}} object
+ * @param {string|int} key
+ *
+ * @return {boolean}
+ */
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * @param {*} value
+ *
+ * @return {string}
+ */
+function stringifyValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    if (value instanceof Date) {
+        return value.getHours() || value.getMinutes() || value.getSeconds() ? formatDateTime(value) : formatDate(value);
+    }
+
+    return String(value);
+}
+
+/**
+ * @param {string} string
+ *
+ * @return {string}
+ */
+function encode(string) {
+    return encodeURIComponent(string);
+}
+
+/**
+ * @param {string} string
+ *
+ * @return {string}
+ */
+function decode(string) {
+    string = string.replace(/\+/g, ' ');
+
+    try {
+        return decodeURIComponent(string);
+    } catch (error) {
+        return string;
+    }
+}
@@ -0,0 +1,55 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import ErrorRenderer, { createList } from './ErrorRenderer.js';
+
+/**
+ * Renders errors with Bootstrap 3 markup: adds the "has-error" class to the "div.form-group"
+ * element container and appends the "span.help-block" with error messages.
+ * When the elements have no "div.form-group" container, the "span.help-block" is inserted after the last element.
+ */
+export default class Bootstrap3ErrorRenderer extends ErrorRenderer {
+    render(elements, messages) {
+        if (elements.length === 0) {
+            return;
+        }
+
+        const help = document.createElement('span');
+        help.className = 'help-block';
+        help.setAttribute('data-form-error', '');
+        help.appendChild(createList(messages));
+
+        const container = elements[0].closest('.form-group');
+
+        if (container) {
+            container.classList.add('has-error');
+            container.appendChild(help);
+        } else {
+            const last = elements[elements.length - 1];
+            last.parentNode.insertBefore(help, last.nextSibling);
+        }
+    }
+
+    clear(elements) {
+        if (elements.length === 0) {
+            return;
+        }
+
+        const container = elements[0].closest('.form-group');
+
+        if (container) {
+            container.classList.remove('has-error');
+
+            for (const help of container.querySelectorAll(':scope > [data-form-error]')) {
+                container.removeChild(help);
+            }
+        } else {
+            const help = elements[elements.length - 1].nextElementSibling;
+
+            if (help && help.hasAttribute('data-form-error')) {
+                help.parentNode.removeChild(help);
+            }
+        }
+    }
+}
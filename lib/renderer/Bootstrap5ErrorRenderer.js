@@ -0,0 +1,46 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import ErrorRenderer from './ErrorRenderer.js';
+
+/**
+ * Renders errors with Bootstrap 5 markup: adds the "is-invalid" class to the elements
+ * and inserts the "div.invalid-feedback" with error messages after the last element.
+ */
+export default class Bootstrap5ErrorRenderer extends ErrorRenderer {
+    render(elements, messages) {
+        if (elements.length === 0) {
+            return;
+        }
+
+        const feedback = document.createElement('div');
+        feedback.className = 'invalid-feedback';
+        feedback.setAttribute('data-form-error', '');
+
+        for (const message of messages) {
+            const line = document.createElement('div');
+            line.textContent = message;
+            feedback.appendChild(line);
+        }
+
+        for (const element of elements) {
+            element.classList.add('is-invalid');
+        }
+
+        const last = elements[elements.length - 1];
+        last.parentNode.insertBefore(feedback, last.nextSibling);
+    }
+
+    clear(elements) {
+        for (const element of elements) {
+            element.classList.remove('is-invalid');
+
+            let sibling = element.nextElementSibling;
+
+            if (sibling && sibling.hasAttribute('data-form-error')) {
+                sibling.parentNode.removeChild(sibling);
+            }
+        }
+    }
+}
@@ -0,0 +1,75 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Base class of the form errors renderer.
+ *
+ * Custom renderer may extend this class or be any object implementing
+ * the "render" and "clear" methods (and optionally "renderFormErrors" and "clearFormErrors").
+ */
+export default class ErrorRenderer {
+    /**
+     * Renders error messages of the form element.
+     *
+     * @param {HTMLElement[]} elements The form elements with the same name (e.g. list of the radio buttons).
+     * @param {string[]} messages
+     * @param {string} name The form element name.
+     */
+    render(elements, messages, name) {
+        throw new Error(`The "${this.constructor.name}" class must implement the "render" method.`);
+    }
+
+    /**
+     * Removes rendered error messages of the form element.
+     *
+     * @param {HTMLElement[]} elements The form elements with the same name.
+     * @param {string} name The form element name.
+     */
+    clear(elements, name) {
+        throw new Error(`The "${this.constructor.name}" class must implement the "clear" method.`);
+    }
+
+    /**
+     * Renders errors not related to any of the form elements.
+     *
+     * @param {HTMLFormElement} form
+     * @param {string[]} messages
+     */
+    renderFormErrors(form, messages) {
+        const alert = document.createElement('div');
+        alert.className = 'alert alert-danger';
+        alert.setAttribute('data-form-error', 'form');
+        alert.appendChild(createList(messages));
+
+        form.insertBefore(alert, form.firstChild);
+    }
+
+    /**
+     * @param {HTMLFormElement} form
+     */
+    clearFormErrors(form) {
+        // Error messages of the elements placed directly in the form are not removed.
+        for (const alert of form.querySelectorAll(':scope > [data-form-error="form"]')) {
+            alert.parentNode.removeChild(alert);
+        }
+    }
+}
+
+/**
+ * @param {string[]} messages
+ *
+ * @return {HTMLUListElement}
+ */
+export function createList(messages) {
+    const list = document.createElement('ul');
+    list.className = 'list-unstyled';
+
+    for (const message of messages) {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+    }
+
+    return list;
+}
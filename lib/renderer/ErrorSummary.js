@@ -0,0 +1,101 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import { translate } from '../validation/messages.js';
+
+/**
+ * Renders the summary of the form errors, with links to the invalid elements. The summary element has the "alert" role,
+ * so the errors are announced by screen readers.
+ */
+export default class ErrorSummary {
+    /**
+     * @param {{}} [options]
+     * @param {HTMLElement|string} [options.container] The element (or CSS selector) the summary is rendered in.
+     *                                                 Default the summary is inserted at the beginning of the form.
+     * @param {string} [options.title = "Please correct the following errors:"] The title (translated with the messages
+     *                                                                          catalog, see lib/validation/messages.js).
+     * @param {string} [options.className = "alert alert-danger"]
+     */
+    constructor(options = {}) {
+        this._container = typeof options.container === 'string' ? document.querySelector(options.container) : (options.container || null);
+        this._title = options.title !== undefined ? options.title : 'Please correct the following errors:';
+        this._className = options.className !== undefined ? options.className : 'alert alert-danger';
+        this._element = null;
+    }
+
+    /**
+     * @param {HTMLFormElement} form
+     * @param {{element: HTMLElement|null, label: string, message: string}[]} errors The errors in order of the elements.
+     *                                                                            The form errors have null element.
+     */
+    render(form, errors) {
+        this.clear();
+
+        if (errors.length === 0) {
+            return;
+        }
+
+        const summary = document.createElement('div');
+        summary.className = this._className;
+        summary.setAttribute('role', 'alert');
+        summary.setAttribute('tabindex', '-1');
+        summary.setAttribute('data-error-summary', '');
+
+        if (this._title) {
+            const title = document.createElement('p');
+            title.textContent = translate(this._title);
+            summary.appendChild(title);
+        }
+
+        const list = document.createElement('ul');
+
+        for (const error of errors) {
+            const item = document.createElement('li');
+            const text = error.label ? `${error.label}: ${error.message}` : error.message;
+
+            if (error.element) {
+                const link = document.createElement('a');
+                link.href = '#' + error.element.id;
+                link.textContent = text;
+                link.addEventListener('click', function (e) {
+                    e.preventDefault();
+                    error.element.focus();
+                });
+                item.appendChild(link);
+            } else {
+                item.textContent = text;
+            }
+
+            list.appendChild(item);
+        }
+
+        summary.appendChild(list);
+
+        if (this._container) {
+            this._container.appendChild(summary);
+        } else {
+            form.insertBefore(summary, form.firstChild);
+        }
+
+        this._element = summary;
+    }
+
+    /**
+     * Removes the rendered summary.
+     */
+    clear() {
+        if (this._element && this._element.parentNode) {
+            this._element.parentNode.removeChild(this._element);
+        }
+
+        this._element = null;
+    }
+
+    /**
+     * @return {HTMLElement|null} The rendered summary element.
+     */
+    getElement() {
+        return this._element;
+    }
+}
@@ -0,0 +1,81 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Visually hidden live region, announcing messages by screen readers.
+ */
+export default class LiveRegion {
+    /**
+     * @param {HTMLElement} container The element the live region is appended to.
+     * @param {{}} [options]
+     * @param {string} [options.politeness = "polite"] The "aria-live" attribute value: "polite" or "assertive".
+     */
+    constructor(container, options = {}) {
+        const { politeness = 'polite' } = options;
+
+        if (politeness !== 'polite' && politeness !== 'assertive') {
+            throw new TypeError(`Invalid politeness "${politeness}". Expected "polite" or "assertive".`);
+        }
+
+        this._container = container;
+        this._politeness = politeness;
+        this._element = null;
+        this._timeout = null;
+    }
+
+    /**
+     * @param {string} message
+     */
+    announce(message) {
+        const element = this._getElement();
+
+        // Clears the region first, so the same message is announced again.
+        element.textContent = '';
+        clearTimeout(this._timeout);
+        this._timeout = setTimeout(() => {
+            element.textContent = message;
+        }, 50);
+    }
+
+    /**
+     * Removes the live region element.
+     */
+    destroy() {
+        clearTimeout(this._timeout);
+
+        if (this._element && this._element.parentNode) {
+            this._element.parentNode.removeChild(this._element);
+        }
+
+        this._element = null;
+    }
+
+    /**
+     * @param {HTMLElement} container
+     */
+    setContainer(container) {
+        this.destroy();
+        this._container = container;
+    }
+
+    /**
+     * @return {HTMLElement}
+     * @private
+     */
+    _getElement() {
+        if (!this._element) {
+            const element = document.createElement('div');
+            element.setAttribute('role', this._politeness === 'assertive' ? 'alert' : 'status');
+            element.setAttribute('aria-live', this._politeness);
+            element.setAttribute('aria-atomic', 'true');
+            element.setAttribute('data-live-region', '');
+            element.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0';
+
+            this._container.appendChild(element);
+            this._element = element;
+        }
+
+        return this._element;
+    }
+}
@@ -0,0 +1,392 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import { normalizeChoices } from '../choices.js';
+
+/**
+ * Renders the form HTML markup from the schema, e.g.
+ *
+ *     {
+ *         name: 'user',
+ *         action: '/users',
+ *         method: 'post',
+ *         submit: 'Save',
+ *         fields: [
+ *             { name: 'email', type: 'email', label: 'E-mail', required: true, help: 'Your work e-mail.' },
+ *             { name: 'country', type: 'select', choices: { pl: 'Poland', de: 'Germany' }, placeholder: 'Choose' },
+ *             { name: 'phones', type: 'collection', min: 1, fields: [{ name: 'number', type: 'tel' }] },
+ *         ],
+ *     }
+ *
+ * Field properties: "name", "type" (input type or "textarea", "select", "checkbox", "radio", "collection", "fieldset"),
+ * "label", "help", "default", "choices", "placeholder", "multiple", "required", "attributes"
+ * and for the "collection" and "fieldset" types "fields". Names of the fields are nested in the form name
+ * and the parent field name e.g. "user[phones][0][number]".
+ *
+ * The markup uses Bootstrap 5 classes. Templates are functions returning HTML, with the template name
+ * (field type, "form", "row", "label", "help", "collectionRow") as key. The field (or the schema for the "form" template)
+ * is passed to the template as the first argument and the renderer as the last one.
+ */
+export default class SchemaRenderer {
+    /**
+     * @param {{}} [templates] The templates overriding the default ones.
+     */
+    constructor(templates = {}) {
+        this._templates = Object.assign({}, defaultTemplates);
+
+        for (const name in templates) {
+            this.setTemplate(name, templates[name]);
+        }
+    }
+
+    /**
+     * @param {string} name The field type or "form", "row", "label", "help", "collectionRow".
+     * @param {function} template
+     *
+     * @return {SchemaRenderer}
+     */
+    setTemplate(name, template) {
+        if (typeof template !== 'function') {
+            throw new TypeError(`Invalid template "${name}". Expected function, but got "${typeof template}".`);
+        }
+
+        this._templates[name] = template;
+
+        return this;
+    }
+
+    /**
+     * @param {{fields: {}[]}} schema
+     *
+     * @return {string} The form HTML.
+     */
+    render(schema) {
+        if (!schema || !Array.isArray(schema.fields)) {
+            throw new TypeError('Invalid form schema. Expected object with the "fields" array.');
+        }
+
+        return this._templates.form(schema, this);
+    }
+
+    /**
+     * @param {{}[]} fields
+     * @param {string} [parentName] The name of the parent field or form.
+     *
+     * @return {string}
+     */
+    renderFields(fields, parentName = '') {
+        return fields.map((field) => this.renderField(field, parentName)).join('');
+    }
+
+    /**
+     * @param {{}} field
+     * @param {string} [parentName] The name of the parent field or form.
+     *
+     * @return {string}
+     */
+    renderField(field, parentName = '') {
+        const view = this.createView(field, parentName);
+        const widget = this.renderTemplate(this._templates.hasOwnProperty(view.type) ? view.type : 'input', view);
+
+        if (view.type === 'hidden' || view.type === 'fieldset') {
+            return widget;
+        }
+
+        return this.renderTemplate('row', view, widget);
+    }
+
+    /**
+     * @param {string} name The template name.
+     * @param {...*} args The template arguments.
+     *
+     * @return {string}
+     */
+    renderTemplate(name, ...args) {
+        if (!this._templates.hasOwnProperty(name)) {
+            throw new TypeError(`The template "${name}" does not exist.`);
+        }
+
+        return this._templates[name](...args, this);
+    }
+
+    /**
+     * Normalizes the schema field into the object passed to the templates.
+     *
+     * @param {{}} field
+     * @param {string} [parentName]
+     *
+     * @return {{type: string, name: string, id: string, label: string, value: *, choices: [], attributes: {}}}
+     */
+    createView(field, parentName = '') {
+        if (!field || typeof field.name !== 'string' || field.name === '') {
+            throw new TypeError('Invalid schema field. Expected object with the "name" property.');
+        }
+
+        const name = getFieldName(parentName, field.name);
+
+        return Object.assign({}, field, {
+            type: field.type || 'text',
+            name,
+            id: createId(name),
+            label: field.label === undefined ? field.name : field.label,
+            value: field.default,
+            choices: field.choices ? normalizeChoices(field.choices) : [],
+            attributes: Object.assign({}, field.attributes)
+        });
+    }
+
+    /**
+     * @param {*} value
+     *
+     * @return {string} The value with escaped HTML special characters.
+     */
+    escape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * @param {{}} attributes The attributes. Attributes with false, null or undefined values are omitted.
+     *
+     * @return {string} The HTML attributes, with leading space.
+     */
+    attributes(attributes) {
+        let html = '';
+
+        for (const name in attributes) {
+            const value = attributes[name];
+
+            if (value === true) {
+                html += ' ' + name;
+            } else if (value !== false && value !== null && value !== undefined) {
+                html += ` ${name}="${this.escape(value)}"`;
+            }
+        }
+
+        return html;
+    }
+
+    /**
+     * @param {{id: string, name: string, required: boolean, help: string, placeholder: string, attributes: {}}} field
+     * @param {{}} [attributes]
+     *
+     * @return {string} The HTML attributes of the field element.
+     */
+    controlAttributes(field, attributes = {}) {
+        return this.attributes(Object.assign({
+            id: field.id,
+            name: field.name,
+            required: field.required === true,
+            placeholder: field.placeholder,
+            'aria-describedby': field.help ? field.id + '_help' : null
+        }, attributes, field.attributes));
+    }
+}
+
+/**
+ * @param {string} parentName The name of the parent field or form.
+ * @param {string} name The field name.
+ *
+ * @return {string} The full name of the field element.
+ */
+export function getFieldName(parentName, name) {
+    return parentName ? `${parentName}[${name}]` : name;
+}
+
+/**
+ * @param {string} name
+ *
+ * @return {string} The element id created from the name, e.g. "user_phones_0_number".
+ */
+function createId(name) {
+    return name.replace(/\]\[|\[|\]/g, '_').replace(/_$/, '');
+}
+
+/**
+ * @param {*} value
+ *
+ * @return {string[]}
+ */
+function toValues(value) {
+    if (value === null || value === undefined) {
+        return [];
+    }
+
+    return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * @param {{}} field
+ * @param {string} type "checkbox" or "radio".
+ * @param {SchemaRenderer} renderer
+ *
+ * @return {string}
+ */
+function renderChoiceInputs(field, type, renderer) {
+    const values = toValues(field.value);
+    const name = type === 'checkbox' ? field.name + '[]' : field.name;
+
+    return field.choices.map((choice, index) => {
+        const id = field.id + '_' + index;
+
+        return '<div class="form-check">'
+            + `<input${renderer.attributes(Object.assign({
+                class: 'form-check-input',
+                type,
+                id,
+                name,
+                value: choice.value,
+                checked: values.indexOf(choice.value) !== -1,
+                disabled: choice.disabled === true,
+                required: type === 'radio' && field.required === true
+            }, field.attributes))}>`
+            + `<label class="form-check-label" for="${renderer.escape(id)}">${renderer.escape(choice.label)}</label>`
+            + '</div>';
+    }).join('');
+}
+
+/**
+ * @param {[]} choices The normalized choices.
+ * @param {string[]} values The selected values.
+ * @param {SchemaRenderer} renderer
+ *
+ * @return {string}
+ */
+function renderOptions(choices, values, renderer) {
+    return choices.map((choice) => {
+        if (choice.choices) {
+            return `<optgroup${renderer.attributes({ label: choice.label, disabled: choice.disabled === true })}>`
+                + renderOptions(choice.choices, values, renderer)
+                + '</optgroup>';
+        }
+
+        return `<option${renderer.attributes({
+            value: choice.value,
+            selected: values.indexOf(choice.value) !== -1,
+            disabled: choice.disabled === true
+        })}>${renderer.escape(choice.label)}</option>`;
+    }).join('');
+}
+
+export const defaultTemplates = {
+    form(schema, renderer) {
+        return `<form${renderer.attributes(Object.assign({
+            name: schema.name,
+            action: schema.action,
+            method: schema.method,
+            enctype: schema.enctype,
+            novalidate: true
+        }, schema.attributes))}>`
+            + renderer.renderFields(schema.fields, schema.name)
+            + (schema.submit ? `<button type="submit" class="btn btn-primary">${renderer.escape(schema.submit)}</button>` : '')
+            + '</form>';
+    },
+
+    row(field, widget, renderer) {
+        const label = field.type === 'checkbox' && field.choices.length === 0 ? '' : renderer.renderTemplate('label', field);
+
+        return `<div class="mb-3">${label}${widget}${renderer.renderTemplate('help', field)}</div>`;
+    },
+
+    label(field, renderer) {
+        if (!field.label) {
+            return '';
+        }
+
+        // Only the single element can be labelled with the "for" attribute.
+        if (field.type === 'radio' || field.type === 'checkbox' || field.type === 'collection') {
+            return `<div class="form-label">${renderer.escape(field.label)}</div>`;
+        }
+
+        return `<label class="form-label" for="${renderer.escape(field.id)}">${renderer.escape(field.label)}</label>`;
+    },
+
+    help(field, renderer) {
+        return field.help ? `<div id="${renderer.escape(field.id)}_help" class="form-text">${renderer.escape(field.help)}</div>` : '';
+    },
+
+    input(field, renderer) {
+        return `<input${renderer.controlAttributes(field, {
+            type: field.type,
+            class: 'form-control',
+            value: field.type === 'file' || field.value === null || field.value === undefined ? null : field.value
+        })}>`;
+    },
+
+    hidden(field, renderer) {
+        return `<input${renderer.attributes(Object.assign({
+            type: 'hidden',
+            id: field.id,
+            name: field.name,
+            value: field.value === null || field.value === undefined ? '' : field.value
+        }, field.attributes))}>`;
+    },
+
+    textarea(field, renderer) {
+        return `<textarea${renderer.controlAttributes(field, { class: 'form-control' })}>${renderer.escape(field.value)}</textarea>`;
+    },
+
+    select(field, renderer) {
+        const placeholder = field.placeholder !== undefined && field.multiple !== true
+            ? `<option value="">${renderer.escape(field.placeholder)}</option>`
+            : '';
+
+        return `<select${renderer.controlAttributes(field, { class: 'form-select', multiple: field.multiple === true, placeholder: null })}>`
+            + placeholder
+            + renderOptions(field.choices, toValues(field.value), renderer)
+            + '</select>';
+    },
+
+    checkbox(field, renderer) {
+        if (field.choices.length > 0) {
+            return renderChoiceInputs(field, 'checkbox', renderer);
+        }
+
+        return '<div class="form-check">'
+            + `<input${renderer.controlAttributes(field, {
+                class: 'form-check-input',
+                type: 'checkbox',
+                value: '1',
+                checked: field.value === true || field.value === '1' || field.value === 1,
+                placeholder: null
+            })}>`
+            + (field.label ? `<label class="form-check-label" for="${renderer.escape(field.id)}">${renderer.escape(field.label)}</label>` : '')
+            + '</div>';
+    },
+
+    radio(field, renderer) {
+        return renderChoiceInputs(field, 'radio', renderer);
+    },
+
+    fieldset(field, renderer) {
+        return `<fieldset${renderer.attributes(Object.assign({ id: field.id, class: 'mb-3' }, field.attributes))}>`
+            + (field.label ? `<legend>${renderer.escape(field.label)}</legend>` : '')
+            + renderer.renderFields(field.fields || [], field.name)
+            + '</fieldset>';
+    },
+
+    collection(field, renderer) {
+        const prototype = renderer.renderTemplate('collectionRow', field, renderer.renderFields(field.fields || [], field.name + '[__name__]'));
+
+        return `<div${renderer.attributes(Object.assign({
+            id: field.id,
+            'data-collection': field.name,
+            'data-prototype': prototype
+        }, field.attributes))}></div>`
+            + `<button type="button" class="btn btn-secondary btn-sm" data-collection-add="${renderer.escape(field.name)}">`
+            + renderer.escape(field.addLabel || 'Add')
+            + '</button>';
+    },
+
+    collectionRow(field, content, renderer) {
+        return `<div class="border rounded p-3 mb-2">${content}`
+            + `<button type="button" class="btn btn-outline-danger btn-sm" data-collection-remove="${renderer.escape(field.name)}">`
+            + renderer.escape(field.removeLabel || 'Remove')
+            + '</button></div>';
+    }
+};
@@ -0,0 +1,119 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+// Ids of the error elements, added to the "aria-describedby" attribute of the form elements.
+const describedIds = new WeakMap();
+
+/**
+ * Sets the "aria-invalid" attribute of the form elements, and links the rendered error messages
+ * with the "aria-describedby" attribute. Must be called after rendering (or clearing) the errors.
+ *
+ * @param {HTMLElement[]} elements The form elements with the same name.
+ * @param {boolean} invalid
+ */
+export function setAriaErrors(elements, invalid) {
+    const errorElement = invalid ? findErrorElement(elements) : null;
+
+    if (errorElement && !errorElement.id) {
+        errorElement.id = createId(elements[0], 'error');
+    }
+
+    for (const element of elements) {
+        if (invalid) {
+            element.setAttribute('aria-invalid', 'true');
+        } else {
+            element.removeAttribute('aria-invalid');
+        }
+
+        const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/)
+            .filter((id) => id !== '' && id !== describedIds.get(element));
+
+        if (errorElement) {
+            ids.push(errorElement.id);
+            describedIds.set(element, errorElement.id);
+        } else {
+            describedIds.delete(element);
+        }
+
+        if (ids.length > 0) {
+            element.setAttribute('aria-describedby', ids.join(' '));
+        } else {
+            element.removeAttribute('aria-describedby');
+        }
+    }
+}
+
+/**
+ * Finds the error messages element (with the "data-form-error" attribute) rendered by the error renderer,
+ * after the last element or in the ".form-group" container of the elements.
+ *
+ * @param {HTMLElement[]} elements
+ *
+ * @return {HTMLElement|null}
+ */
+export function findErrorElement(elements) {
+    if (elements.length === 0) {
+        return null;
+    }
+
+    const sibling = elements[elements.length - 1].nextElementSibling;
+
+    if (sibling && sibling.hasAttribute('data-form-error')) {
+        return sibling;
+    }
+
+    const container = elements[0].closest('.form-group');
+
+    return container ? container.querySelector(':scope > [data-form-error]') : null;
+}
+
+/**
+ * @param {HTMLElement} element
+ *
+ * @return {string} The element id. Not existing id is created from the element name.
+ */
+export function ensureId(element) {
+    if (!element.id) {
+        element.id = createId(element);
+    }
+
+    return element.id;
+}
+
+/**
+ * @param {HTMLElement[]} elements The form elements with the same name.
+ *
+ * @return {string} The text of the element label, or the legend of the fieldset of the elements group
+ *                  (e.g. the radio buttons), the "aria-label" attribute or the element name.
+ */
+export function getLabel(elements) {
+    const element = elements[0];
+    const fieldset = elements.length > 1 ? element.closest('fieldset') : null;
+    const label = fieldset
+        ? fieldset.querySelector(':scope > legend')
+        : (element.labels && element.labels.length > 0 ? element.labels[0] : null);
+
+    if (label && label.textContent.trim() !== '') {
+        return label.textContent.trim();
+    }
+
+    return element.getAttribute('aria-label') || element.name || '';
+}
+
+/**
+ * @param {HTMLElement} element
+ * @param {string} [suffix]
+ *
+ * @return {string} The not existing id, created from the element id or name.
+ */
+function createId(element, suffix) {
+    const base = (element.id || element.name || 'field').replace(/[^\w-]+/g, '_').replace(/_$/, '') + (suffix ? '_' + suffix : '');
+    let id = base;
+
+    for (let i = 2; document.getElementById(id); i++) {
+        id = base + i;
+    }
+
+    return id;
+}
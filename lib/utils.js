@@ -0,0 +1,38 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Helpers shared by the form components.
+ */
+
+/**
+ * @param {string} string
+ *
+ * @return {string} The string with escaped special characters of the regular expression.
+ */
+export function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @param {*} value
+ *
+ * @return {boolean} Whether the value is an array or plain object.
+ */
+export function isStructure(value) {
+    return Array.isArray(value)
+        || (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+}
+
+/**
+ * @param {*} storage
+ *
+ * @throws TypeError when the storage is not an object with "getItem", "setItem" and "removeItem" methods.
+ */
+export function checkStorage(storage) {
+    if (!storage || typeof storage.getItem !== 'function' || typeof storage.setItem !== 'function'
+        || typeof storage.removeItem !== 'function') {
+        throw new TypeError('Invalid storage. Expected object with "getItem", "setItem" and "removeItem" methods.');
+    }
+}
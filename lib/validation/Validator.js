@@ -0,0 +1,106 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import { translate } from './messages.js';
+
+/**
+ * Stores validation constraints of the form elements and validates the element values.
+ */
+export default class Validator {
+    constructor() {
+        this._constraints = {};
+    }
+
+    /**
+     * @param {string} name The form element name.
+     * @param {[]} constraints The list of constraints (see lib/validation/constraints.js).
+     */
+    addConstraints(name, constraints) {
+        if (!Array.isArray(constraints)) {
+            constraints = [constraints];
+        }
+
+        for (const constraint of constraints) {
+            if (!constraint || typeof constraint.validate !== 'function') {
+                throw new TypeError(`Invalid constraint for element with name "${name}". Expected object with "validate" function.`);
+            }
+        }
+
+        this._constraints[name] = (this._constraints[name] || []).concat(constraints);
+    }
+
+    /**
+     * @param {string} name The form element name.
+     * @param {[]} [constraints] The constraints to remove. Default all constraints of the element.
+     */
+    removeConstraints(name, constraints) {
+        if (constraints !== undefined && this._constraints.hasOwnProperty(name)) {
+            this._constraints[name] = this._constraints[name].filter((constraint) => constraints.indexOf(constraint) === -1);
+
+            if (this._constraints[name].length > 0) {
+                return;
+            }
+        }
+
+        delete this._constraints[name];
+    }
+
+    /**
+     * @return {boolean}
+     */
+    hasConstraints() {
+        return Object.keys(this._constraints).length > 0;
+    }
+
+    /**
+     * @return {string[]} The names of the elements with constraints.
+     */
+    getNames() {
+        return Object.keys(this._constraints);
+    }
+
+    /**
+     * Validates the value of the element with the given name.
+     * Messages are translated into the current locale of the messages catalog (see lib/validation/messages.js).
+     *
+     * @param {string} name The form element name.
+     * @param {*} value
+     * @param {Node|NodeList} [element]
+     *
+     * @return {string[]} The list of error messages.
+     */
+    validate(name, value, element) {
+        const messages = [];
+
+        for (const constraint of this._constraints[name] || []) {
+            const violation = constraint.validate(value, element);
+
+            if (violation) {
+                messages.push(formatMessage(translate(violation.message), violation.parameters));
+            }
+        }
+
+        return messages;
+    }
+}
+
+/**
+ * Replaces "{{ parameter }}" placeholders in the message.
+ *
+ * @param {string} message
+ * @param {{}} [parameters]
+ *
+ * @return {string}
+ */
+export function formatMessage(message, parameters = {}) {
+    return message.replace(/\{\{\s*(\w+)\s*\}\}/g, function (placeholder, name) {
+        if (!parameters.hasOwnProperty(name)) {
+            return placeholder;
+        }
+
+        const value = parameters[name];
+
+        return value instanceof Date ? value.toLocaleDateString() : String(value);
+    });
+}
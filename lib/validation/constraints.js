@@ -0,0 +1,435 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Built-in validation constraints.
+ *
+ * Each function creates a constraint object with a "name" and a "validate" function.
+ * The "validate" function is called with the element value and returns a violation object
+ * {message: string, parameters: {}} or null, when the value is valid.
+ *
+ * Constraints other than "required" do not validate empty values (null, empty string or empty array).
+ */
+
+/**
+ * @param {{}} [options]
+ * @param {string} [options.message]
+ *
+ * @return {{name: string, validate: function}}
+ */
+export function required(options = {}) {
+    const message = options.message || 'This value should not be blank.';
+
+    return {
+        name: 'required',
+        validate(value) {
+            return isEmpty(value) ? { message, parameters: {} } : null;
+        }
+    };
+}
+
+/**
+ * Validates length of the string or the number of selected values of the array.
+ *
+ * @param {{}} options
+ * @param {int} [options.min]
+ * @param {int} [options.max]
+ * @param {string} [options.minMessage]
+ * @param {string} [options.maxMessage]
+ * @param {string} [options.exactMessage]
+ *
+ * @return {{name: string, validate: function}}
+ */
+export function length(options = {}) {
+    const { min, max } = options;
+
+    if (min === undefined && max === undefined) {
+        throw new TypeError('The "length" constraint requires one of the options "min" or "max".');
+    }
+
+    return createConstraint('length', function (value) {
+        const length = Array.isArray(value) ? value.length : String(value).length;
+        const parameters = { limit: null, value };
+
+        if (min !== undefined && min === max && length !== min) {
+            parameters.limit = min;
+
+            return { message: options.exactMessage || 'This value should have exactly {{ limit }} characters.', parameters };
+        }
+
+        if (min !== undefined && length < min) {
+            parameters.limit = min;
+
+            return { message: options.minMessage || 'This value is too short. It should have {{ limit }} characters or more.', parameters };
+        }
+
+        if (max !== undefined && length > max) {
+            parameters.limit = max;
+
+            return { message: options.maxMessage || 'This value is too long. It should have {{ limit }} characters or less.', parameters };
+        }
+
+        return null;
+    });
+}
+
+/**
+ * @param {RegExp|string} pattern
+ * @param {{}} [options]
+ * @param {boolean} [options.match = true] Whether the value should match (true) or not match (false) the pattern.
+ * @param {string} [options.message]
+ *
+ * @return {{name: string, validate: function}}
+ */
+export function regex(pattern, options = {}) {
+    if (typeof pattern === 'string') {
+        pattern = new RegExp(pattern);
+    }
+
+    const match = options.match !== false;
+    const message = options.message || 'This value is not valid.';
+
+    return createConstraint('regex', function (value) {
+        return eachValue(value, function (value) {
+            pattern.lastIndex = 0;
+
+            return pattern.test(value) !== match ? { message, parameters: { value } } : null;
+        });
+    });
+}
+
+/**
+ * Validates the value is a number (or date) between "min" and "max".
+ *
+ * @param {{}} options
+ * @param {number|Date} [options.min]
+ * @param {number|Date} [options.max]
+ * @param {string} [options.minMessage]
+ * @param {string} [options.maxMessage]
+ * @param {string} [options.invalidMessage]
+ *
+ * @return {{name: string, validate: function}}
+ */
+export function range(options = {}) {
+    const { min, max } = options;
+
+    if (min === undefined && max === undefined) {
+        throw new TypeError('The "range" constraint requires one of the options "min" or "max".');
+    }
+
+    const isDateRange = min instanceof Date || max instanceof Date;
+
+    return createConstraint('range', function (value) {
+        return eachValue(value, function (value) {
+            const number = isDateRange ? parseDate(value) : toNumber(value);
+
+            if (number === null) {
+                return {
+                    message: options.invalidMessage || (isDateRange ? 'This value is not a valid date.' : 'This value should be a valid number.'),
+                    parameters: { value }
+                };
+            }
+
+            if (min !== undefined && number < min) {
+                return { message: options.minMessage || 'This value should be {{ limit }} or more.', parameters: { value, limit: min } };
+            }
+
+            if (max !== undefined && number > max) {
+                return { message: options.maxMessage || 'This value should be {{ limit }} or less.', parameters: { value, limit: max } };
+            }
+
+            return null;
+        });
+    });
+}
+
+/**
+ * @param {[]} choices The valid values.
+ * @param {{}} [options]
+ * @param {string} [options.message]
+ *
+ * @return {{name: string, validate: function}}
+ */
+export function choice(choices, options = {}) {
+    if (!Array.isArray(choices)) {
+        throw new TypeError('The "choice" constraint requires an array of choices.');
+    }
+
+    choices = choices.map(String);
+    const message = options.message || 'The value you selected is not a valid choice.';
+
+    return createConstraint('choice', function (value) {
+        return eachValue(value, function (value) {
+            return choices.indexOf(String(value)) === -1 ? { message, parameters: { value } } : null;
+        });
+    });
+}
+
+/**
+ * @param {{}} [options]
+ * @param {string} [options.message]
+ *
+ * @return {{name: string, validate: function}}
+ */
+export function email(options = {}) {
+    return regex(/^[^\s@]+@[^\s@]+\.[^\s@]+$/, {
+        message: options.message || 'This value is not a valid email address.'
+    });
+}
+
+/**
+ * @param {{}} [options]
+ * @param {[]} [options.protocols = ["http", "https"]]
+ * @param {string} [options.message]
+ *
+ * @return {{name: string, validate: function}}
+ */
+export function url(options = {}) {
+    const protocols = options.protocols || ['http', 'https'];
+    const message = options.message || 'This value is not a valid URL.';
+
+    return createConstraint('url', function (value) {
+        return eachValue(value, function (value) {
+            let url;
+
+            try {
+                url = new URL(value);
+            } catch (error) {
+                return { message, parameters: { value } };
+            }
+
+            return protocols.indexOf(url.protocol.slice(0, -1)) === -1 ? { message, parameters: { value } } : null;
+        });
+    });
+}
+
+/**
+ * Validates the value is a date in format "YYYY-MM-DD" (format of the input element with type "date").
+ *
+ * @param {{}} [options]
+ * @param {string} [options.message]
+ *
+ * @return {{name: string, validate: function}}
+ */
+export function date(options = {}) {
+    const message = options.message || 'This value is not a valid date.';
+
+    return createConstraint('date', function (value) {
+        return eachValue(value, function (value) {
+            return parseDate(value) === null ? { message, parameters: { value } } : null;
+        });
+    });
+}
+
+/**
+ * Validates the value is a date and time in format of RFC 3339 "YYYY-MM-DDTHH:MM:SS[.sss](Z|+HH:MM)"
+ * or of the input element with type "datetime-local" "YYYY-MM-DDTHH:MM[:SS[.sss]]".
+ *
+ * @param {{}} [options]
+ * @param {string} [options.message]
+ *
+ * @return {{name: string, validate: function}}
+ */
+export function datetime(options = {}) {
+    const message = options.message || 'This value is not a valid datetime.';
+
+    return createConstraint('datetime', function (value) {
+        return eachValue(value, function (value) {
+            return parseDateTime(value) === null ? { message, parameters: { value } } : null;
+        });
+    });
+}
+
+/**
+ * Creates constraint validating the value with custom function.
+ *
+ * @param {function} fn The function called with the value and the form element.
+ *                      Should return true when the value is valid.
+ * @param {{}} [options]
+ * @param {string} [options.message]
+ *
+ * @return {{name: string, validate: function}}
+ */
+export function callback(fn, options = {}) {
+    const message = options.message || 'This value is not valid.';
+
+    return createConstraint('callback', function (value, element) {
+        return fn(value, element) === true ? null : { message, parameters: { value } };
+    });
+}
+
+/**
+ * Creates the constraint from the serializable descriptor (e.g. defined in the JSON form schema) with the constraint
+ * "type" and the constraint options, e.g.
+ *
+ *     {type: "required"}
+ *     {type: "length", min: 2, max: 50}
+ *     {type: "regex", pattern: "^\\d+$", flags: "i", match: true}
+ *     {type: "range", min: 1, max: 10}
+ *     {type: "choice", choices: ["a", "b"]}
+ *     {type: "email"}, {type: "url", protocols: ["https"]}, {type: "date"}, {type: "datetime"}
+ *
+ * The "message" options are supported as in the constraint functions.
+ *
+ * @param {{}} descriptor The constraint descriptor, or the constraint object (returned unchanged).
+ *
+ * @return {{name: string, validate: function}}
+ * @throws TypeError when the descriptor type is not supported.
+ */
+export function resolveConstraint(descriptor) {
+    if (descriptor && typeof descriptor.validate === 'function') {
+        return descriptor;
+    }
+
+    const { type, ...options } = descriptor || {};
+
+    switch (type) {
+        case 'required':
+            return required(options);
+        case 'length':
+            return length(options);
+        case 'regex':
+            return regex(new RegExp(options.pattern, options.flags), options);
+        case 'range':
+            return range(options);
+        case 'choice':
+            return choice(options.choices, options);
+        case 'email':
+            return email(options);
+        case 'url':
+            return url(options);
+        case 'date':
+            return date(options);
+        case 'datetime':
+            return datetime(options);
+    }
+
+    throw new TypeError(`Invalid constraint "${type}". Expected constraint object, or descriptor with one of the types: `
+        + '"required", "length", "regex", "range", "choice", "email", "url", "date", "datetime".');
+}
+
+/**
+ * Checks whether the value is empty (null, undefined, empty string, empty array or empty FileList).
+ *
+ * @param {*} value
+ *
+ * @return {boolean}
+ */
+export function isEmpty(value) {
+    return value === null || value === undefined || value === ''
+        || ((Array.isArray(value) || (typeof FileList !== 'undefined' && value instanceof FileList)) && value.length === 0);
+}
+
+/**
+ * @param {string} name
+ * @param {function} validate
+ *
+ * @return {{name: string, validate: function}}
+ */
+function createConstraint(name, validate) {
+    return {
+        name,
+        validate(value, element) {
+            return isEmpty(value) ? null : validate(value, element);
+        }
+    };
+}
+
+/**
+ * Validates every value of the array (e.g. select-multiple or checkbox list values).
+ *
+ * @param {*} value
+ * @param {function} validate
+ *
+ * @return {{}|null}
+ */
+function eachValue(value, validate) {
+    if (!Array.isArray(value)) {
+        return validate(value);
+    }
+
+    for (const item of value) {
+        const violation = validate(item);
+
+        if (violation) {
+            return violation;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * @param {*} value
+ *
+ * @return {number|null}
+ */
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return isNaN(value) ? null : value;
+    }
+
+    if (!/^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(value)) {
+        return null;
+    }
+
+    return parseFloat(value);
+}
+
+/**
+ * Parses date in format "YYYY-MM-DD".
+ *
+ * @param {string|Date} value
+ *
+ * @return {Date|null}
+ */
+function parseDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value;
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+
+    if (!match) {
+        return null;
+    }
+
+    const date = new Date(match[1], match[2] - 1, match[3]);
+
+    if (date.getMonth() !== match[2] - 1 || date.getDate() !== +match[3]) {
+        return null;
+    }
+
+    return date;
+}
+
+/**
+ * Parses date and time in format "YYYY-MM-DDTHH:MM[:SS[.sss]]" with optional time zone offset "Z" or "+HH:MM".
+ * Seconds are required with the time zone offset.
+ *
+ * @param {string|Date} value
+ *
+ * @return {Date|null}
+ */
+function parseDateTime(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value;
+    }
+
+    const match = /^(\d{4}-\d{2}-\d{2})[Tt ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?([Zz]|[+-](\d{2}):(\d{2}))?$/.exec(value);
+
+    if (!match || (match[5] && match[4] === undefined)) {
+        return null;
+    }
+
+    const date = parseDate(match[1]);
+
+    if (!date || match[2] > 23 || match[3] > 59 || match[4] > 60 || match[6] > 23 || match[7] > 59) {
+        return null;
+    }
+
+    date.setHours(match[2], match[3], Math.min(match[4] || 0, 59));
+
+    return date;
+}
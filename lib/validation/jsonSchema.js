@@ -0,0 +1,258 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+import { required, length, regex, range, choice, email, url, date, datetime, callback } from './constraints.js';
+import { parsePropertyPath } from './violations.js';
+
+/**
+ * Maps the JSON Schema properties onto the validation constraints and the value types.
+ *
+ * Supported keywords: "type", "properties", "required", "items", "minItems", "maxItems", "minLength", "maxLength",
+ * "pattern", "enum", "const", "minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum", "format"
+ * ("email", "uri", "url", "date", "date-time") and local "$ref" (e.g. "#/$defs/address").
+ *
+ * @param {{}} schema
+ *
+ * @return {{path: string[], constraints: {}[], type: string|null}[]} The list of the scalar (or the array of scalars)
+ *                                                                   properties. The "*" path segment matches any
+ *                                                                   index of the array. Required boolean properties
+ *                                                                   are not mapped onto the "required" constraint.
+ */
+export function mapJsonSchema(schema) {
+    const fields = [];
+    walk(schema, [], false, fields, schema);
+
+    return fields;
+}
+
+/**
+ * @param {{}} schema
+ * @param {string[]} path
+ * @param {boolean} isRequired
+ * @param {[]} fields
+ * @param {{}} root
+ */
+function walk(schema, path, isRequired, fields, root) {
+    schema = resolveRef(schema, root);
+
+    // Stops on recursive schemas.
+    if (path.length > 32) {
+        return;
+    }
+
+    const type = getType(schema);
+
+    if (type === 'object') {
+        const requiredProperties = schema.required || [];
+
+        for (const name in schema.properties || {}) {
+            walk(schema.properties[name], path.concat(name), requiredProperties.indexOf(name) !== -1, fields, root);
+        }
+
+        return;
+    }
+
+    if (type === 'array') {
+        const items = resolveRef(schema.items || {}, root);
+
+        if (getType(items) === 'object' || getType(items) === 'array') {
+            walk(items, path.concat('*'), false, fields, root);
+
+            return;
+        }
+
+        const constraints = isRequired || schema.minItems > 0 ? [required()] : [];
+
+        if (schema.minItems !== undefined || schema.maxItems !== undefined) {
+            constraints.push(length({
+                min: schema.minItems,
+                max: schema.maxItems,
+                minMessage: 'This collection should contain {{ limit }} elements or more.',
+                maxMessage: 'This collection should contain {{ limit }} elements or less.',
+                exactMessage: 'This collection should contain exactly {{ limit }} elements.'
+            }));
+        }
+
+        fields.push({ path, constraints: constraints.concat(createConstraints(items)), type: getValueType(items) });
+        // The indexed elements of the array, e.g. "tags[0]".
+        fields.push({ path: path.concat('*'), constraints: createConstraints(items), type: getValueType(items) });
+
+        return;
+    }
+
+    // The false value of the boolean meets the "required" keyword (e.g. unchecked checkbox).
+    const requiresValue = isRequired && type !== 'boolean';
+
+    fields.push({
+        path,
+        constraints: (requiresValue ? [required()] : []).concat(createConstraints(schema)),
+        type: getValueType(schema)
+    });
+}
+
+/**
+ * @param {{}} schema The scalar value schema.
+ *
+ * @return {{}[]}
+ */
+function createConstraints(schema) {
+    const constraints = [];
+    const type = getType(schema);
+
+    if (type === 'integer') {
+        constraints.push(regex(/^[-+]?\d+$/, { message: 'This value should be of type integer.' }));
+    } else if (type === 'number') {
+        constraints.push(regex(/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i, { message: 'This value should be of type number.' }));
+    }
+
+    if (schema.minLength !== undefined || schema.maxLength !== undefined) {
+        constraints.push(length({ min: schema.minLength, max: schema.maxLength }));
+    }
+
+    if (schema.pattern !== undefined) {
+        constraints.push(regex(new RegExp(schema.pattern, 'u')));
+    }
+
+    if (Array.isArray(schema.enum)) {
+        constraints.push(choice(schema.enum.filter((value) => value !== null)));
+    } else if (schema.const !== undefined) {
+        constraints.push(choice([schema.const]));
+    }
+
+    let { minimum, maximum, exclusiveMinimum, exclusiveMaximum } = schema;
+
+    // Draft 4 boolean "exclusiveMinimum" and "exclusiveMaximum".
+    if (exclusiveMinimum === true) {
+        [exclusiveMinimum, minimum] = [minimum, undefined];
+    }
+
+    if (exclusiveMaximum === true) {
+        [exclusiveMaximum, maximum] = [maximum, undefined];
+    }
+
+    if (minimum !== undefined || maximum !== undefined) {
+        constraints.push(range({ min: minimum, max: maximum }));
+    }
+
+    if (typeof exclusiveMinimum === 'number') {
+        constraints.push(exclusiveLimit(exclusiveMinimum, (value) => value > exclusiveMinimum, 'This value should be greater than {{ limit }}.'));
+    }
+
+    if (typeof exclusiveMaximum === 'number') {
+        constraints.push(exclusiveLimit(exclusiveMaximum, (value) => value < exclusiveMaximum, 'This value should be less than {{ limit }}.'));
+    }
+
+    switch (schema.format) {
+        case 'email':
+            constraints.push(email());
+            break;
+        case 'uri':
+        case 'url':
+            constraints.push(url());
+            break;
+        case 'date':
+            constraints.push(date());
+            break;
+        case 'date-time':
+            constraints.push(datetime());
+            break;
+    }
+
+    return constraints;
+}
+
+/**
+ * @param {number} limit
+ * @param {function} compare The function called with the number, returning true when the number is valid.
+ * @param {string} message
+ *
+ * @return {{name: string, validate: function}}
+ */
+function exclusiveLimit(limit, compare, message) {
+    const constraint = callback((value) => [].concat(value).every((value) => compare(Number(value))), { message });
+
+    return {
+        name: constraint.name,
+        validate(value, element) {
+            const violation = constraint.validate(value, element);
+
+            return violation ? { message, parameters: Object.assign(violation.parameters, { limit }) } : null;
+        }
+    };
+}
+
+/**
+ * @param {{}} schema
+ *
+ * @return {string|null} The value converter name.
+ */
+function getValueType(schema) {
+    const type = getType(schema);
+
+    if (type === 'integer' || type === 'number' || type === 'boolean') {
+        return type;
+    }
+
+    if (type === 'string' && schema.format === 'date') {
+        return 'date';
+    }
+
+    if (type === 'string' && schema.format === 'date-time') {
+        return 'datetime';
+    }
+
+    return null;
+}
+
+/**
+ * @param {{}} schema
+ *
+ * @return {string|undefined} The schema type. For the list of types (e.g. ["string", "null"]) the first not null type.
+ */
+function getType(schema) {
+    let type = schema.type;
+
+    if (Array.isArray(type)) {
+        type = type.filter((type) => type !== 'null')[0];
+    }
+
+    if (type === undefined && schema.properties) {
+        return 'object';
+    }
+
+    return type;
+}
+
+/**
+ * @param {{}} schema
+ * @param {{}} root
+ *
+ * @return {{}} The schema referenced with "$ref" property, or the given schema.
+ * @throws TypeError when the reference cannot be resolved.
+ */
+function resolveRef(schema, root) {
+    if (!schema || typeof schema !== 'object') {
+        return {};
+    }
+
+    if (typeof schema.$ref !== 'string') {
+        return schema;
+    }
+
+    if (schema.$ref.charAt(0) !== '#') {
+        throw new TypeError(`Cannot resolve the JSON Schema reference "${schema.$ref}". Only local references are supported.`);
+    }
+
+    let resolved = root;
+
+    for (const segment of schema.$ref === '#' ? [] : parsePropertyPath(schema.$ref)) {
+        resolved = resolved !== null && typeof resolved === 'object' ? resolved[segment] : undefined;
+    }
+
+    if (!resolved || typeof resolved !== 'object') {
+        throw new TypeError(`Cannot resolve the JSON Schema reference "${schema.$ref}".`);
+    }
+
+    return resolveRef(resolved, root);
+}
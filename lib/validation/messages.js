@@ -0,0 +1,97 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Catalog of the validation error messages translations. The messages are translated by the Validator (so all
+ * constraints of the Form), the DateField, the DateRange, the jquery-datepicker-helper, the ErrorSummary
+ * and the Form announcements.
+ *
+ * The English source messages (with "{{ parameter }}" placeholders) are the translation keys:
+ *
+ *     import pl from '@arturdoruch/form/lib/validation/translations/pl.js';
+ *
+ *     addMessages('pl', pl);
+ *     addMessages('pl', { 'This value should not be blank.': 'To pole jest wymagane.' });
+ *     setLocale('pl');
+ *
+ * The message not translated into the locale with region (e.g. "pl-PL"), is translated into the locale language ("pl").
+ */
+
+const catalogs = {};
+let currentLocale = 'en';
+
+/**
+ * Adds the translations of the locale. Translations of the same messages are overridden.
+ *
+ * @param {string} locale The locale e.g. "pl", "en-GB".
+ * @param {{}} messages Object with pairs: "source message": "translated message".
+ */
+export function addMessages(locale, messages) {
+    if (!messages || typeof messages !== 'object') {
+        throw new TypeError(`Invalid messages of the locale "${locale}". Expected object, but got "${typeof messages}".`);
+    }
+
+    locale = normalizeLocale(locale);
+    catalogs[locale] = Object.assign(catalogs[locale] || {}, messages);
+}
+
+/**
+ * @param {string} locale The locale e.g. "pl", "en-GB". Not required to have the translations.
+ */
+export function setLocale(locale) {
+    currentLocale = normalizeLocale(locale);
+}
+
+/**
+ * @return {string} The current locale.
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * @param {string} locale
+ *
+ * @return {boolean} Whether the translations of the locale, or the locale language, are added.
+ */
+export function hasMessages(locale) {
+    locale = normalizeLocale(locale);
+
+    return catalogs.hasOwnProperty(locale) || catalogs.hasOwnProperty(locale.split('-')[0]);
+}
+
+/**
+ * Translates the message. Placeholders of the message are not replaced (see Validator formatMessage function).
+ *
+ * @param {string} message The source message.
+ * @param {string} [locale] Default the current locale.
+ *
+ * @return {string} The translated message, or the source message when there is no translation.
+ */
+export function translate(message, locale) {
+    locale = locale ? normalizeLocale(locale) : currentLocale;
+
+    for (const key of [locale, locale.split('-')[0]]) {
+        if (catalogs.hasOwnProperty(key) && catalogs[key].hasOwnProperty(message)) {
+            return catalogs[key][message];
+        }
+    }
+
+    return message;
+}
+
+/**
+ * @param {string} locale
+ *
+ * @return {string} The locale with the language in lower case and "-" separator, e.g. "pl_PL" into "pl-PL".
+ */
+function normalizeLocale(locale) {
+    if (typeof locale !== 'string' || locale === '') {
+        throw new TypeError('Invalid locale. Expected not empty string.');
+    }
+
+    const [language, ...region] = locale.split(/[-_]/);
+
+    return [language.toLowerCase()].concat(region).join('-');
+}
@@ -0,0 +1,38 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Polish translations of the validation error messages (see lib/validation/messages.js).
+ */
+export default {
+    'This value should not be blank.': 'Ta wartość nie powinna być pusta.',
+    'This value should have exactly {{ limit }} characters.': 'Ta wartość powinna mieć dokładnie {{ limit }} znaków.',
+    'This value is too short. It should have {{ limit }} characters or more.': 'Ta wartość jest zbyt krótka. Powinna mieć {{ limit }} lub więcej znaków.',
+    'This value is too long. It should have {{ limit }} characters or less.': 'Ta wartość jest zbyt długa. Powinna mieć {{ limit }} lub mniej znaków.',
+    'This value is not valid.': 'Ta wartość jest nieprawidłowa.',
+    'This value should be a valid number.': 'Ta wartość powinna być prawidłową liczbą.',
+    'This value should be {{ limit }} or more.': 'Ta wartość powinna wynosić {{ limit }} lub więcej.',
+    'This value should be {{ limit }} or less.': 'Ta wartość powinna wynosić {{ limit }} lub mniej.',
+    'This value should be greater than {{ limit }}.': 'Ta wartość powinna być większa niż {{ limit }}.',
+    'This value should be less than {{ limit }}.': 'Ta wartość powinna być mniejsza niż {{ limit }}.',
+    'This value should be of type integer.': 'Ta wartość powinna być liczbą całkowitą.',
+    'This value should be of type number.': 'Ta wartość powinna być liczbą.',
+    'The value you selected is not a valid choice.': 'Ta wartość powinna być jedną z podanych opcji.',
+    'This value is not a valid email address.': 'Ta wartość nie jest prawidłowym adresem email.',
+    'This value is not a valid URL.': 'Ta wartość nie jest prawidłowym adresem URL.',
+    'This value is not a valid date.': 'Ta wartość nie jest prawidłową datą.',
+    'This value is not a valid datetime.': 'Ta wartość nie jest prawidłową datą i godziną.',
+    'This collection should contain {{ limit }} elements or more.': 'Ten zbiór powinien zawierać {{ limit }} lub więcej elementów.',
+    'This collection should contain {{ limit }} elements or less.': 'Ten zbiór powinien zawierać {{ limit }} lub mniej elementów.',
+    'This collection should contain exactly {{ limit }} elements.': 'Ten zbiór powinien zawierać dokładnie {{ limit }} elementów.',
+    'This value should be {{ limit }} or later.': 'Ta data powinna być równa {{ limit }} lub późniejsza.',
+    'This value should be {{ limit }} or earlier.': 'Ta data powinna być równa {{ limit }} lub wcześniejsza.',
+    'This value should not be a future date.': 'Ta data nie powinna być datą przyszłą.',
+    'The end date should not be earlier than the start date.': 'Data końcowa nie powinna być wcześniejsza niż data początkowa.',
+    'The end date should be later than the start date.': 'Data końcowa powinna być późniejsza niż data początkowa.',
+    'The date range should not be longer than {{ limit }} days.': 'Zakres dat nie powinien być dłuższy niż {{ limit }} dni.',
+    'Please correct the following errors:': 'Popraw następujące błędy:',
+    'The form has been sent.': 'Formularz został wysłany.',
+    'The form could not be sent.': 'Nie udało się wysłać formularza.'
+};
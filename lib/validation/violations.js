@@ -0,0 +1,140 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Normalizes the validation errors payload returned by the server into the list of violations.
+ *
+ * Supported payload formats:
+ *  - list of violations: [{propertyPath: "user.address.city", message: "..."}, ...]
+ *  - list of JSON Schema validator (e.g. Ajv) errors: [{instancePath: "/user/address/city", message: "..."}, ...]
+ *  - object with violations: {violations: [...]}
+ *  - nested object: {user: {address: {city: ["...", ...]}}, items: [{qty: "..."}]}
+ *  - Symfony form errors: {errors: ["..."], children: {email: {errors: ["..."]}, ...}}
+ *
+ * @param {[]|{}} payload
+ *
+ * @return {{path: string[], message: string}[]}
+ */
+export function normalizeViolations(payload) {
+    const violations = [];
+
+    if (Array.isArray(payload)) {
+        for (const item of payload) {
+            if (typeof item === 'string') {
+                violations.push({ path: [], message: item });
+            } else if (item && typeof item === 'object') {
+                const path = parsePropertyPath(item.propertyPath || item.property_path || item.path || item.instancePath || item.dataPath || '');
+
+                // The JSON Schema "required" error refers to the parent object.
+                if (item.keyword === 'required' && item.params && item.params.missingProperty) {
+                    path.push(...parsePropertyPath(item.params.missingProperty));
+                }
+
+                violations.push({ path, message: item.message || item.title || '' });
+            }
+        }
+    } else if (payload && Array.isArray(payload.violations)) {
+        return normalizeViolations(payload.violations);
+    } else {
+        walk(payload, [], violations);
+    }
+
+    return violations;
+}
+
+/**
+ * Splits property path into the segments.
+ *
+ * @param {string} path The property path e.g. "user.address.city", "items[0].qty", "children[email].data",
+ *                      or JSON pointer e.g. "/items/0/qty", "#/items/0/qty".
+ *
+ * @return {string[]}
+ */
+export function parsePropertyPath(path) {
+    path = String(path);
+
+    if (/^#?\//.test(path)) {
+        return path.replace(/^#?\//, '').split('/').filter((segment) => segment !== '').map(function (segment) {
+            return decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+        });
+    }
+
+    path = path
+        .replace(/children\[([^\]]*)\]/g, '[$1]')
+        .replace(/\]\.data$/, ']');
+
+    return path.match(/[^\[\].]+/g) || [];
+}
+
+/**
+ * @param {*} value
+ * @param {string[]} path
+ * @param {[]} violations
+ */
+function walk(value, path, violations) {
+    if (value === null || value === undefined) {
+        return;
+    }
+
+    if (typeof value !== 'object') {
+        violations.push({ path, message: String(value) });
+
+        return;
+    }
+
+    if (Array.isArray(value)) {
+        value.forEach(function (item, index) {
+            if (item !== null && typeof item === 'object') {
+                walk(item, path.concat(String(index)), violations);
+            } else {
+                walk(item, path, violations);
+            }
+        });
+
+        return;
+    }
+
+    if (isFormErrors(value)) {
+        walk(value.errors, path, violations);
+
+        for (const name in value.children || {}) {
+            walk(value.children[name], path.concat(name), violations);
+        }
+
+        return;
+    }
+
+    for (const name in value) {
+        walk(value[name], path.concat(name), violations);
+    }
+}
+
+/**
+ * Checks whether the value has structure of the Symfony form errors: {errors: [], children: {}}.
+ *
+ * @param {{}} value
+ *
+ * @return {boolean}
+ */
+function isFormErrors(value) {
+    const keys = Object.keys(value);
+
+    if (keys.length === 0 || keys.some((key) => key !== 'errors' && key !== 'children')) {
+        return false;
+    }
+
+    return (value.errors === undefined || Array.isArray(value.errors))
+        && (value.children === undefined || (value.children !== null && typeof value.children === 'object' && !Array.isArray(value.children)));
+}
+
+/**
+ * Creates JSON pointer from the path segments.
+ *
+ * @param {string[]} path
+ *
+ * @return {string} The JSON pointer e.g. "/items/0/qty", or empty string for the empty path.
+ */
+export function createJsonPointer(path) {
+    return path.map((segment) => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
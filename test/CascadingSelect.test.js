@@ -0,0 +1,54 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+
+const html = '<form><select name="country"><option value="">-</option><option value="pl">pl</option></select>'
+    + '<select name="region"><option value="">-</option></select></form>';
+
+function wait() {
+    return new Promise((resolve) => setTimeout(resolve, 10));
+}
+
+test('dispatches the change event of the loaded select once', async () => {
+    render(html);
+    const form = new Form('form');
+    const events = [];
+
+    form.cascade('country', 'region', () => Promise.resolve(['a', 'b']), { placeholder: '-' });
+    form.getElement('country').value = 'pl';
+    form.on('change', (event) => events.push(`form:${event.name}:${event.value}`));
+    form.getElement('region').addEventListener('change', () => events.push('dom:region'));
+    form.getElement('country').dispatchEvent(new Event('change', { bubbles: true }));
+    await wait();
+
+    assert.deepEqual(events, ['form:country:pl', 'dom:region', 'form:region:']);
+    assert.equal(form.getElement('region').options.length, 3);
+});
+
+test('emits the loader error', async () => {
+    render(html);
+    const form = new Form('form');
+    const errors = [];
+
+    form.cascade('country', 'region', () => Promise.reject(new Error('Not found')));
+    form.on('cascadeError', (event) => errors.push([event.error.message, event.childName]));
+    form.setElementValue('country', 'pl');
+    form.getElement('country').dispatchEvent(new Event('change', { bubbles: true }));
+    await wait();
+
+    assert.deepEqual(errors, [['Not found', 'region']]);
+    assert.equal(form.getElement('region').options.length, 0);
+});
+
+test('selects the first option when the selected value does not exist in the loaded choices', async () => {
+    render(html);
+    const form = new Form('form');
+
+    form.cascade('country', 'region', () => Promise.resolve(['a', 'b']));
+    form.setData({ country: 'pl', region: 'x' });
+    await wait();
+
+    assert.equal(form.getElement('region').selectedIndex, 0);
+    assert.equal(form.getElementValue('region'), 'a');
+});
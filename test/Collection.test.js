@@ -0,0 +1,102 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+import { length } from '../lib/validation/constraints.js';
+
+test('registers the constraints of the schema collection fields for every row', () => {
+    render('<div id="container"></div>');
+    const form = Form.render('#container', {
+        name: 'user',
+        fields: [{
+            name: 'phones',
+            type: 'collection',
+            min: 1,
+            fields: [
+                { name: 'number', required: true },
+                { name: 'details', type: 'fieldset', fields: [{ name: 'note', constraints: [length({ max: 3 })] }] }
+            ]
+        }]
+    });
+    const phones = form.collection('user[phones]');
+
+    assert.equal(form.validate(), false);
+    assert.deepEqual(Object.keys(form.getErrors()), ['user[phones][0][number]']);
+
+    phones.add({ number: '123', details: { note: 'Long' } });
+    form.setData({ user: { phones: [{ number: '456' }] } });
+
+    assert.equal(form.validate(), false);
+    assert.deepEqual(Object.keys(form.getErrors()), ['user[phones][1][details][note]']);
+
+    phones.remove(1);
+
+    assert.equal(form.validate(), true);
+});
+
+test('registers the element listeners to the added rows', () => {
+    render('<form><div id="items" data-prototype="<div><input class=&quot;qty&quot; name=&quot;items[__name__][qty]&quot;></div>"></div></form>');
+    const form = new Form('form');
+    const items = form.collection('items');
+    const names = [];
+
+    form.addElementListener('change', 'input.qty', (element) => names.push(element.name));
+    items.add();
+    items.add();
+    items.remove(0);
+    form.getElement('items[0][qty]').dispatchEvent(new Event('change'));
+
+    assert.deepEqual(names, ['items[0][qty]']);
+});
+
+test('replaces the row constraints of the collection created again', () => {
+    render('<form><div id="items" data-prototype="<div><input name=&quot;items[__name__][name]&quot;></div>"></div></form>');
+    const form = new Form('form');
+
+    form.collection('items', { constraints: { name: [length({ min: 3 })] } }).add({ name: 'x' });
+    form.collection('items', { constraints: { name: [length({ min: 3 })] } });
+
+    assert.equal(form.validate(), false);
+    assert.equal(form.getErrors()['items[0][name]'].length, 1);
+});
+
+test('removes the surplus rows when setting the data in the replace mode', () => {
+    render('<form><div id="items" data-prototype="<div><input name=&quot;items[__name__][name]&quot;></div>"></div></form>');
+    const form = new Form('form');
+    form.collection('items', { min: 1 });
+
+    form.setData({ items: [{ name: 'a' }, { name: 'b' }, { name: 'c' }] });
+    form.setData({ items: [{ name: 'only' }] }, { mode: 'replace' });
+
+    assert.deepEqual(form.getData(), { items: [{ name: 'only' }] });
+
+    form.setData({ items: [{ name: 'a' }, { name: 'b' }] });
+    form.setData({ items: [{ name: 'c' }] });
+
+    assert.deepEqual(form.getData(), { items: [{ name: 'c' }, { name: 'b' }] });
+
+    form.setData({}, { mode: 'replace' });
+
+    assert.deepEqual(form.getData(), { items: [{ name: '' }] });
+});
+
+test('registers the constraint descriptors of the JSON schema fields', () => {
+    render('<div id="container"></div>');
+    const schema = JSON.parse(JSON.stringify({
+        name: 'user',
+        fields: [
+            { name: 'code', constraints: [{ type: 'regex', pattern: '^[a-z]+$', message: 'Letters only.' }] },
+            { name: 'phones', type: 'collection', min: 1, fields: [{ name: 'number', constraints: [{ type: 'length', max: 3 }] }] }
+        ]
+    }));
+    const form = Form.render('#container', schema);
+
+    form.setData({ user: { code: 'a1', phones: [{ number: '1234' }] } });
+
+    assert.equal(form.validate(), false);
+    assert.deepEqual(form.getErrors(), {
+        'user[code]': ['Letters only.'],
+        'user[phones][0][number]': ['This value is too long. It should have 3 characters or less.']
+    });
+    assert.throws(() => Form.render('#container', { fields: [{ name: 'a', constraints: [{ type: 'callback' }] }] }), TypeError);
+});
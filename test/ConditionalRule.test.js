@@ -0,0 +1,77 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+
+test('restores the initial disabled state of the enabled elements', () => {
+    render('<form><input type="checkbox" name="custom" value="1"><input name="a"><input name="b" disabled>'
+        + '<input name="c" disabled></form>');
+    const form = new Form('form');
+
+    form.when('custom').checked().enable('a', 'b').show('c');
+
+    assert.deepEqual(['a', 'b', 'c'].map((name) => form.getElement(name).disabled), [true, true, true]);
+
+    form.setElementValue('custom', true);
+
+    assert.deepEqual(['a', 'b', 'c'].map((name) => form.getElement(name).disabled), [false, true, true]);
+    assert.equal(form.getElement('c').hidden, false);
+});
+
+test('shows and hides the elements', () => {
+    render('<form><select name="type"><option value="person">Person</option><option value="company">Company</option>'
+        + '</select><div class="form-group"><label for="company">Company</label><input id="company" name="company_name"></div>'
+        + '<label for="pesel">PESEL</label><input id="pesel" name="pesel"></form>');
+    const form = new Form('form');
+    const container = document.querySelector('.form-group');
+    const label = document.querySelector('label[for="pesel"]');
+
+    form.when('type').equals('company').show('company_name').hide('pesel');
+
+    assert.equal(container.hidden, true);
+    assert.equal(form.getElement('pesel').hidden, false);
+    assert.deepEqual(form.getData(), { type: 'person', pesel: '' });
+
+    form.getElement('type').value = 'company';
+    form.getElement('type').dispatchEvent(new Event('change', { bubbles: true }));
+
+    assert.equal(container.hidden, false);
+    assert.equal(form.getElement('pesel').hidden, true);
+    assert.equal(label.hidden, true);
+    assert.deepEqual(form.getData(), { type: 'company', company_name: '' });
+});
+
+test('evaluates the rules after setting and resetting the form data', () => {
+    render('<form><input type="radio" name="size" value="s" checked><input type="radio" name="size" value="m">'
+        + '<input type="radio" name="size" value="l"><input name="notes"></form>');
+    const form = new Form('form');
+
+    form.when('size').in(['m', 'l']).enable('notes');
+
+    assert.equal(form.getElement('notes').disabled, true);
+
+    form.setData({ size: 'l' });
+
+    assert.equal(form.getElement('notes').disabled, false);
+
+    form.resetData();
+
+    assert.equal(form.getElement('notes').disabled, true);
+});
+
+test('requires the elements when the condition is met', () => {
+    render('<form><input type="checkbox" name="invoice" value="1"><input name="vat_id"></form>');
+    const form = new Form('form');
+
+    form.when('invoice').checked().require('vat_id');
+
+    assert.equal(form.getElement('vat_id').required, false);
+    assert.equal(form.validate(), true);
+
+    form.setElementValue('invoice', true);
+
+    assert.equal(form.getElement('vat_id').required, true);
+    assert.equal(form.validate(), false);
+    assert.deepEqual(Object.keys(form.getErrors()), ['vat_id']);
+    assert.throws(() => form.when('invoice').matches('1'), TypeError);
+});
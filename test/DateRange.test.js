@@ -0,0 +1,97 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+import DateField from '../lib/date/DateField.js';
+import DateRange from '../lib/date/DateRange.js';
+
+function addDays(days) {
+    const date = new Date();
+
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function formatDate(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function createRange(options) {
+    render('<form><input type="date" name="from"><input type="date" name="to"></form>');
+
+    return new DateRange(new DateField('[name="from"]'), new DateField('[name="to"]'), options);
+}
+
+test('applies the presets limited to today', () => {
+    const range = createRange({ allowFuture: false, preset: 'last7Days' });
+
+    assert.deepEqual(range.getDates(), { from: addDays(-6), to: addDays(0) });
+    assert.equal(range.getFrom().getElement().value, formatDate(addDays(-6)));
+
+    range.applyPreset('thisYear');
+
+    assert.equal(range.getDates().to.getTime(), addDays(0).getTime());
+    assert.equal(range.getTo().getElement().max, formatDate(addDays(0)));
+
+    range.setPreset('nextWeek', (today) => [today, new Date(today.getFullYear(), today.getMonth(), today.getDate() + 7)]);
+
+    assert.deepEqual(range.getPresetNames().slice(-2), ['thisYear', 'nextWeek']);
+    assert.throws(() => range.applyPreset('unknown'), TypeError);
+    assert.throws(() => range.setPreset('invalid', null), TypeError);
+});
+
+test('limits the selectable dates with the maximum span', () => {
+    const range = createRange({ maxSpan: 30, from: addDays(0) });
+
+    assert.equal(range.getTo().getElement().min, formatDate(addDays(0)));
+    assert.equal(range.getTo().getElement().max, formatDate(addDays(30)));
+
+    range.setDates(addDays(0), addDays(31));
+
+    assert.deepEqual(range.validate('en'), { from: [], to: ['The date range should not be longer than 30 days.'] });
+
+    range.setDates(addDays(0), addDays(30));
+
+    assert.equal(range.isValid(), true);
+    assert.throws(() => createRange({ maxSpan: -1 }), TypeError);
+});
+
+test('validates the future dates and the same day ranges', () => {
+    const range = createRange({ allowFuture: false, allowSameDay: false });
+
+    range.setDates(addDays(1), addDays(0));
+
+    assert.deepEqual(range.validate('en'), {
+        from: ['This value should not be a future date.'],
+        to: ['The end date should not be earlier than the start date.']
+    });
+
+    range.setDates(addDays(0), addDays(0));
+
+    assert.deepEqual(range.validate('en'), { from: [], to: ['The end date should be later than the start date.'] });
+
+    range.setDates(addDays(-1), addDays(0));
+
+    assert.equal(range.isValid(), true);
+    assert.equal(range.getTo().getElement().min, formatDate(addDays(0)));
+    assert.equal(range.getFrom().getElement().max, formatDate(addDays(-1)));
+});
+
+test('displays the range errors with the form errors', () => {
+    render('<form><input type="date" name="from"><input type="date" name="to"></form>');
+    const form = new Form('form');
+    const range = form.dateRange('from', 'to', { maxSpan: 7, messages: { maxSpan: 'Maximum {{ limit }} days.' } });
+    const to = form.getElement('to');
+
+    range.setDates(addDays(0), addDays(10));
+    to.dispatchEvent(new Event('change', { bubbles: true }));
+
+    assert.deepEqual(form.getErrors(), { to: ['Maximum 7 days.'] });
+
+    to.value = formatDate(addDays(7));
+    to.dispatchEvent(new Event('change', { bubbles: true }));
+
+    assert.deepEqual(form.getErrors(), {});
+    assert.equal(form.validate(), true);
+});
@@ -0,0 +1,28 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+import { required } from '../lib/validation/constraints.js';
+
+test('renders the error summary once per validation', async () => {
+    render('<form><input name="a"><input name="b"><input name="c"></form>');
+    const form = new Form('form');
+    const summaries = [];
+    const observer = new MutationObserver((records) => {
+        for (const record of records) {
+            summaries.push(...Array.from(record.addedNodes).filter((node) => node.hasAttribute('data-error-summary')));
+        }
+    });
+
+    form.addConstraints({ a: [required()], b: [required()], c: [required()] });
+    form.enableErrorSummary();
+    observer.observe(form.getFormElement(), { childList: true });
+
+    form.validate();
+    form.setErrors({ a: ['Invalid.'], b: ['Invalid.'] });
+    await Promise.resolve();
+    observer.disconnect();
+
+    assert.equal(summaries.length, 2);
+    assert.equal(summaries[1].querySelectorAll('li').length, 2);
+});
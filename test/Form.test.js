@@ -0,0 +1,332 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+import { required } from '../lib/validation/constraints.js';
+
+test('gets and sets the form data without jQuery', () => {
+    render('<form name="user"><input name="user[name]" value="John"><select name="user[tags][]" multiple>'
+        + '<option value="a" selected>a</option><option value="b">b</option></select></form>');
+    const form = new Form('form');
+
+    assert.deepEqual(form.getData(), { user: { name: 'John', tags: ['a'] } });
+
+    form.setData({ user: { name: 'Jane', tags: ['a', 'b'] } });
+
+    assert.deepEqual(form.getData(), { user: { name: 'Jane', tags: ['a', 'b'] } });
+});
+
+test('sets values of the radio and checkbox groups', () => {
+    render('<form><input type="radio" name="size" value="s"><input type="radio" name="size" value="m">'
+        + '<input type="checkbox" name="tags[]" value="a"><input type="checkbox" name="tags[]" value="b">'
+        + '<input type="checkbox" name="agree" value="1"></form>');
+    const form = new Form('form');
+
+    form.setElementValue('size', 'm');
+    form.setElementValue('tags[]', ['a', 'b']);
+    form.setElementValue('agree', true);
+
+    assert.deepEqual(form.getData(), { size: 'm', tags: ['a', 'b'], agree: '1' });
+
+    form.setData({ size: 's', tags: ['b'], agree: false });
+
+    assert.deepEqual(form.getData(), { size: 's', tags: ['b'] });
+
+    form.setValueConverter('size', { parse: (value) => value.toUpperCase(), format: (value) => value.toLowerCase() });
+    form.setElementValue('size', 'M');
+
+    assert.equal(form.getElementValue('size', true), 'M');
+});
+
+test('gets empty typed values', () => {
+    render('<form><input name="name"><input type="number" name="qty"><input type="date" name="date"></form>');
+    const form = new Form('form');
+
+    assert.deepEqual(form.getData({ typed: true }), { name: '', qty: null, date: null });
+});
+
+test('refreshes the delegated element listeners', () => {
+    render('<form><div id="items"></div></form>');
+    const form = new Form('form');
+    const names = [];
+
+    // The names of the not existing elements are not valid CSS selectors.
+    form.addElementListener('change', 'items[0][name]', (element) => names.push(element.name), { delegate: true });
+    form.addElementListener('click', 'button.add', (button) => names.push(button.className), { delegate: true });
+    form.refresh();
+
+    document.getElementById('items').innerHTML = '<input name="items[0][name]"><button type="button" class="add">Add</button>';
+    form.getElement('items[0][name]').dispatchEvent(new Event('change', { bubbles: true }));
+    document.querySelector('button.add').click();
+
+    assert.deepEqual(names, ['items[0][name]', 'add']);
+});
+
+test('matches the delegated listener target inside the form element', () => {
+    render('<form><button type="button" class="add"><span>Add</span></button></form>');
+    const form = new Form('form');
+    const targets = [];
+
+    form.addElementListener('click', 'button.add', (button) => targets.push(button.nodeName), { delegate: true });
+    document.querySelector('span').click();
+
+    assert.deepEqual(targets, ['BUTTON']);
+});
+
+test('emits the "afterReset" event after the native reset', async () => {
+    render('<form><input name="name" value="John"><button type="reset">Reset</button></form>');
+    const form = new Form('form');
+    const values = [];
+
+    form.on('afterReset', () => values.push(form.getElementValue('name')));
+    form.setElementValue('name', 'Jane');
+    document.querySelector('button').click();
+
+    assert.deepEqual(values, []);
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.deepEqual(values, ['John']);
+});
+
+test('removes the constraints and the rendered errors on destroy', () => {
+    render('<form><input name="from"><input name="to">'
+        + '<div id="items" data-prototype="<div><input name=&quot;items[__name__][name]&quot;></div>"></div></form>');
+    let form = new Form('form');
+
+    form.collection('items', { constraints: { name: [required()] } }).add();
+    form.dateRange('from', 'to');
+    form.setElementValue('from', '2024-02-01');
+    form.setElementValue('to', '2024-01-01');
+
+    assert.equal(form.validate(), false);
+    assert.equal(form.getElement('to').getAttribute('aria-invalid'), 'true');
+
+    form.destroy();
+
+    assert.equal(form.getElement('to').hasAttribute('aria-invalid'), false);
+    assert.equal(form.getElement('items[0][name]').hasAttribute('aria-invalid'), false);
+    assert.equal(form.validate(), true);
+});
+
+test('gets the files of the file inputs', () => {
+    render('<form method="post"><input name="title" value="Docs"><input type="file" name="avatar">'
+        + '<input type="file" name="docs" multiple><input type="file" name="old" disabled><input name="note"></form>');
+    const form = new Form('form');
+    const file = new File(['x'], 'avatar.png');
+
+    // jsdom does not allow to select the files.
+    Object.defineProperty(form.getElement('avatar'), 'files', { value: [file] });
+
+    const data = form.getData(false, false);
+
+    assert.equal(data.avatar, file);
+    assert.ok(data.docs instanceof FileList);
+    assert.equal(data.hasOwnProperty('old'), false);
+    assert.deepEqual(Object.keys(form.getData(true, false)), ['title', 'avatar']);
+
+    const formData = form.getFormData(true);
+
+    assert.deepEqual(Array.from(formData.keys()), ['title', 'avatar']);
+    assert.equal(formData.get('avatar').name, 'avatar.png');
+    assert.deepEqual(Array.from(form.getFormData().keys()), ['title', 'avatar', 'note']);
+    assert.equal(form.createHttpRequest(true).getQueryString(), 'title=Docs');
+});
+
+test('tracks the changes of the form data', () => {
+    render('<form name="user"><input name="user[name]" value="John"><input type="checkbox" name="user[agree]" value="1" checked>'
+        + '<input name="user[city]"></form>');
+    const form = new Form('form');
+    const states = [];
+    const eventStates = [];
+
+    assert.throws(() => form.getChangedData(), Error);
+
+    form.getFormElement().addEventListener('dirtychange', (e) => states.push(e.detail.dirty));
+    form.on('dirtychange', (e) => eventStates.push(e.dirty));
+    form.snapshot();
+
+    assert.equal(form.isDirty(), false);
+    assert.deepEqual(form.getChangedData(), {});
+
+    form.getElement('user[name]').value = 'Jane';
+    form.getElement('user[agree]').checked = false;
+    form.getElement('user[name]').dispatchEvent(new Event('input', { bubbles: true }));
+
+    assert.equal(form.isDirty(), true);
+    assert.deepEqual(form.getChangedData(), { user: { name: 'Jane', agree: null } });
+    assert.deepEqual(form.getChangedData(false), { 'user[name]': 'Jane', 'user[agree]': null });
+
+    form.getElement('user[name]').value = 'John';
+    form.getElement('user[agree]').checked = true;
+    form.getElement('user[agree]').dispatchEvent(new Event('change', { bubbles: true }));
+
+    assert.equal(form.isDirty(), false);
+    assert.deepEqual(states, [true, false]);
+    assert.deepEqual(eventStates, [true, false]);
+});
+
+test('guards leaving the page with the dirty form', () => {
+    render('<form><input name="name"></form>');
+    const form = new Form('form').enableUnloadGuard();
+    const unload = () => {
+        const event = new Event('beforeunload', { cancelable: true });
+        window.dispatchEvent(event);
+
+        return event.defaultPrevented;
+    };
+
+    assert.equal(unload(), false);
+
+    form.getElement('name').value = 'John';
+
+    assert.equal(unload(), true);
+
+    form.disableUnloadGuard();
+
+    assert.equal(unload(), false);
+});
+
+test('removes the element and submit listeners', () => {
+    render('<form><input name="name"><button type="submit">Save</button></form>');
+    const form = new Form('form');
+    const calls = [];
+    const first = () => calls.push('first');
+    const second = () => calls.push('second');
+    const submit = () => calls.push('submit');
+    const change = () => form.getElement('name').dispatchEvent(new Event('change', { bubbles: true }));
+
+    form.addElementListener('change', 'name', first);
+    form.addElementListener('change', 'name', second);
+    form.addSubmitListener(submit);
+    form.refresh();
+    form.refresh();
+    change();
+
+    assert.deepEqual(calls, ['first', 'second']);
+
+    form.removeElementListener('change', 'name', first);
+    change();
+    form.removeSubmitListener(submit);
+    form.getFormElement().dispatchEvent(new Event('submit', { cancelable: true }));
+
+    assert.deepEqual(calls, ['first', 'second', 'second']);
+
+    form.addElementListener('change', 'name', first);
+    form.removeElementListener('change', 'name');
+    change();
+
+    assert.deepEqual(calls, ['first', 'second', 'second']);
+});
+
+test('removes all listeners on destroy', () => {
+    render('<form><input name="name"></form>');
+    const form = new Form('form');
+    const calls = [];
+
+    form.addElementListener('input', 'name', () => calls.push('element'));
+    form.addElementListener('input', 'name', () => calls.push('delegated'), { delegate: true });
+    form.addSubmitListener(() => calls.push('submit'));
+    form.on('input', () => calls.push('event'));
+    form.enableUnloadGuard();
+    form.destroy();
+
+    form.getElement('name').value = 'John';
+    form.getElement('name').dispatchEvent(new Event('input', { bubbles: true }));
+
+    const submitEvent = new Event('submit', { cancelable: true });
+    form.getFormElement().dispatchEvent(submitEvent);
+
+    const unloadEvent = new Event('beforeunload', { cancelable: true });
+    window.dispatchEvent(unloadEvent);
+
+    assert.deepEqual(calls, []);
+    assert.equal(submitEvent.defaultPrevented, false);
+    assert.equal(unloadEvent.defaultPrevented, false);
+});
+
+test('disables the submit buttons while the submission is pending', async () => {
+    render('<form><input name="name" value="John"><button type="submit" name="action" value="save" data-loading-text="Saving...">'
+        + '<b>Save</b></button><input type="submit" name="action" value="publish"><button type="submit" disabled>Draft</button></form>');
+    const form = new Form('form');
+    const [save, publish, draft] = form.getFormElement().querySelectorAll('[type="submit"]');
+    const submitted = [];
+    let resolve;
+
+    form.addSubmitListener(() => {
+        submitted.push(form.getData());
+
+        return new Promise((callback) => resolve = callback);
+    });
+
+    assert.equal(form.isSubmitting(), false);
+
+    save.click();
+
+    assert.equal(form.isSubmitting(), true);
+    assert.deepEqual(submitted, [{ name: 'John', action: 'save' }]);
+    assert.deepEqual(form.getData(), { name: 'John', action: 'save' });
+    assert.equal(form.createHttpRequest().getQueryString(), 'name=John&action=save');
+    assert.deepEqual([save.disabled, publish.disabled, draft.disabled], [true, true, true]);
+    assert.equal(save.textContent, 'Saving...');
+
+    // Re-entrant submits are ignored.
+    form.getFormElement().dispatchEvent(new Event('submit', { cancelable: true }));
+
+    assert.equal(submitted.length, 1);
+
+    resolve({ ok: true });
+    await new Promise((callback) => setTimeout(callback));
+
+    assert.equal(form.isSubmitting(), false);
+    assert.deepEqual([save.disabled, publish.disabled, draft.disabled], [false, false, true]);
+    assert.equal(save.innerHTML, '<b>Save</b>');
+    assert.deepEqual(form.getData(), { name: 'John' });
+
+    publish.click();
+
+    assert.deepEqual(submitted[1], { name: 'John', action: 'publish' });
+});
+
+test('merges and replaces the form data', () => {
+    render('<form name="user"><input name="user[name]" value="John"><input name="user[city]" value="Paris">'
+        + '<input type="hidden" name="user[id]" value="1"><input type="checkbox" name="user[tags][]" value="a">'
+        + '<input type="checkbox" name="user[tags][]" value="b"></form>');
+    const form = new Form('form').useNameAsElementNamePrefix();
+
+    form.setData({ user: { name: 'Jane', tags: ['b'] } });
+
+    assert.deepEqual(form.getData(), { user: { name: 'Jane', city: 'Paris', id: '1', tags: ['b'] } });
+
+    form.setData({ user: { city: null, tags: null } });
+
+    assert.deepEqual(form.getData(), { user: { name: 'Jane', city: '', id: '1', tags: [] } });
+
+    form.setData({ user: { city: 'Rome', tags: ['a'] } }, { mode: 'replace', resetHidden: false });
+
+    assert.deepEqual(form.getData(), { user: { name: '', city: 'Rome', id: '1', tags: ['a'] } });
+
+    form.setData({ user: { city: 'Oslo' } }, { mode: 'replace' });
+
+    assert.deepEqual(form.getData(), { user: { name: '', city: 'Oslo', id: '', tags: [] } });
+
+    // The element name prefix is added in the non-serialized mode.
+    form.setData({ '[name]': 'Jane', 'user[tags][]': ['a', 'b'] }, false);
+
+    assert.deepEqual(form.getData(false, false), { 'user[name]': 'Jane', 'user[city]': 'Oslo', 'user[id]': '', 'user[tags][]': ['a', 'b'] });
+});
+
+test('rejects the data not fitting the form elements', () => {
+    render('<form><input name="name"><input name="address[city]"><select name="tags[]" multiple>'
+        + '<option value="a">a</option></select></form>');
+    const form = new Form('form');
+
+    assert.throws(() => form.setData({ name: ['a', 'b'] }), { name: 'TypeError', message: /"name"/ });
+    assert.throws(() => form.setData({ name: { first: 'John' } }), TypeError);
+    assert.throws(() => form.setData({ address: 'Paris' }), { name: 'TypeError', message: /"address/ });
+    assert.throws(() => form.setData({ name: 'John' }, { mode: 'update' }), TypeError);
+
+    form.setData({ name: ['a', 'b'], address: { city: 'Paris' } }, { strict: false });
+
+    assert.deepEqual(form.getData(), { name: '', address: { city: 'Paris' }, tags: [] });
+});
@@ -0,0 +1,53 @@
+import { render, createStorage } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+
+test('restores the collection rows', () => {
+    const html = '<form name="order"><input name="order[note]">'
+        + '<div id="order_items" data-prototype="<div><input name=&quot;order[items][__name__][name]&quot;></div>"></div></form>';
+    const storage = createStorage();
+
+    render(html);
+    let form = new Form('form');
+    form.collection('order[items]');
+    form.enablePersistence({ storage, debounce: 0, exclude: ['note'] });
+    form.setData({ order: { note: 'Note', items: [{ name: 'Foo' }, { name: 'Bar' }] } });
+    form.getFormElement().dispatchEvent(new Event('input', { bubbles: true }));
+
+    render(html);
+    form = new Form('form');
+    form.collection('order[items]');
+    form.enablePersistence({ storage });
+
+    assert.deepEqual(form.getData(), { order: { note: '', items: [{ name: 'Foo' }, { name: 'Bar' }] } });
+});
+
+test('does not save the excluded elements', () => {
+    render('<form name="user"><input name="user[name]" value="John"><input name="user[token]" value="secret">'
+        + '<input type="password" name="user[password]" value="pass"></form>');
+    const storage = createStorage();
+    const form = new Form('form').useNameAsElementNamePrefix();
+
+    form.enablePersistence({ storage, debounce: 0, exclude: ['[token]'] });
+    form.getFormElement().dispatchEvent(new Event('input', { bubbles: true }));
+
+    assert.deepEqual(JSON.parse(storage.getItem('form:user:/page:v1')), { 'user[name]': 'John' });
+});
+
+test('disables saving when the storage cannot be written', () => {
+    render('<form><input name="name"></form>');
+    const storage = createStorage();
+    let writes = 0;
+    storage.setItem = () => {
+        writes++;
+        throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    };
+    const form = new Form('form').enablePersistence({ storage, debounce: 0 });
+
+    form.getFormElement().dispatchEvent(new Event('input', { bubbles: true }));
+    form.refresh();
+    form.getFormElement().dispatchEvent(new Event('input', { bubbles: true }));
+
+    assert.equal(writes, 1);
+});
@@ -0,0 +1,92 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+import HttpRequest from '../lib/HttpRequest.js';
+import { required } from '../lib/validation/constraints.js';
+
+/**
+ * @return {function} The transport stub, recording the requests into the "requests" property.
+ */
+function createTransport() {
+    const transport = (url, init) => {
+        transport.requests.push({ url, init });
+
+        return Promise.resolve(new Response('{}'));
+    };
+    transport.requests = [];
+
+    return transport;
+}
+
+test('sends the urlencoded body', async () => {
+    const transport = createTransport();
+
+    await new HttpRequest('post', '/save', { name: 'John', tags: ['a', 'b'] }).send({ transport });
+
+    const { url, init } = transport.requests[0];
+
+    assert.equal(url, '/save');
+    assert.equal(init.method, 'POST');
+    assert.equal(init.headers['Content-Type'], 'application/x-www-form-urlencoded; charset=UTF-8');
+    assert.equal(init.body, 'name=John&tags%5B%5D=a&tags%5B%5D=b');
+});
+
+test('sends the query string of the GET request', async () => {
+    const transport = createTransport();
+
+    await new HttpRequest('GET', '/search?page=1', { q: 'a b' }).send({ transport });
+
+    assert.equal(transport.requests[0].url, '/search?page=1&q=a%20b');
+    assert.equal(transport.requests[0].init.body, undefined);
+});
+
+test('sends the JSON body without files', async () => {
+    const transport = createTransport();
+    const data = { name: 'John', file: new File(['x'], 'x.txt'), items: [{ qty: 1 }] };
+
+    await new HttpRequest('POST', '/save', data, 'application/json').send({ transport });
+
+    assert.equal(transport.requests[0].init.headers['Content-Type'], 'application/json');
+    assert.equal(transport.requests[0].init.body, '{"name":"John","items":[{"qty":1}]}');
+});
+
+test('sends the multipart body with the field names of the form data', async () => {
+    render('<form method="post" action="/upload" enctype="multipart/form-data"><input name="title" value="Docs">'
+        + '<input type="file" name="docs" multiple><select name="tags" multiple><option selected>a</option></select></form>');
+    const form = new Form('form');
+    const transport = createTransport();
+
+    await form.submitAsync({ transport });
+
+    const body = transport.requests[0].init.body;
+
+    assert.ok(body instanceof FormData);
+    assert.equal(transport.requests[0].init.headers['Content-Type'], undefined);
+    assert.deepEqual(Array.from(body.keys()), ['title', 'tags[]']);
+    assert.deepEqual(Array.from(form.getFormData().keys()), Array.from(body.keys()));
+});
+
+test('rejects the timed out request', async () => {
+    const transport = (url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('The request was aborted.', 'AbortError')));
+    });
+
+    await assert.rejects(new HttpRequest('GET', '/slow').send({ transport, timeout: 10 }), { name: 'TimeoutError' });
+});
+
+test('rejects the submission of the invalid form', async () => {
+    render('<form method="post" action="/save"><input name="name"></form>');
+    const form = new Form('form');
+    const transport = createTransport();
+
+    form.addConstraints({ name: [required()] });
+
+    await assert.rejects(form.submitAsync({ transport }), (error) => {
+        assert.equal(error.name, 'ValidationError');
+        assert.deepEqual(Object.keys(error.errors), ['name']);
+
+        return true;
+    });
+    assert.equal(transport.requests.length, 0);
+});
@@ -0,0 +1,73 @@
+import { render, createStorage } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+
+test('disables the native form validation while the steps are active', () => {
+    render('<form><div id="step-1"><input name="name" required></div><div id="step-2"><input name="email" required></div></form>');
+    const form = new Form('form');
+    const formElement = form.getFormElement();
+    const steps = form.steps(['#step-1', '#step-2']);
+
+    assert.equal(formElement.noValidate, true);
+    assert.equal(steps.next(), false);
+
+    form.setElementValue('name', 'John');
+
+    assert.equal(steps.next(), true);
+    assert.equal(document.getElementById('step-1').hidden, true);
+
+    steps.destroy();
+
+    assert.equal(formElement.noValidate, false);
+    assert.equal(document.getElementById('step-1').hidden, false);
+});
+
+test('emits the step change events', () => {
+    render('<form><div id="step-1"></div><div id="step-2"></div></form>');
+    const form = new Form('form');
+    const steps = form.steps(['#step-1', '#step-2']);
+    const events = [];
+
+    form.on('beforeStepChange', (event) => {
+        events.push([event.type, event.from, event.to]);
+
+        if (event.to === 0) {
+            event.preventDefault();
+        }
+    });
+    form.on('stepChange', (event) => events.push([event.type, event.from, event.to]));
+
+    assert.equal(steps.next(), true);
+    assert.equal(steps.prev(), false);
+    assert.deepEqual(events, [['beforeStepChange', 0, 1], ['stepChange', 0, 1], ['beforeStepChange', 1, 0]]);
+});
+
+test('validates all steps on the final submit', () => {
+    render('<form><div id="step-1"><input name="name" required></div><div id="step-2"><input name="email"></div></form>');
+    const storage = createStorage();
+    storage.setItem('steps', '1');
+    const form = new Form('form');
+    const steps = form.steps(['#step-1', '#step-2'], { persist: true, storage, key: 'steps' });
+
+    assert.equal(steps.getIndex(), 1);
+    assert.equal(form.getFormElement().dispatchEvent(new Event('submit', { cancelable: true })), false);
+    assert.equal(steps.getIndex(), 0);
+});
+
+test('removes the saved progress after the successful submission', async () => {
+    render('<form><div id="step-1"><input name="name"></div><div id="step-2"><input name="email"></div></form>');
+    const storage = createStorage();
+    const form = new Form('form');
+    const steps = form.steps(['#step-1', '#step-2'], { persist: true, storage, key: 'steps' });
+
+    steps.next();
+    assert.equal(storage.getItem('steps'), '1');
+
+    await form.submitAsync({ transport: () => Promise.resolve(new Response('')) });
+    assert.equal(storage.getItem('steps'), null);
+
+    steps.prev();
+    form.clearPersisted();
+    assert.equal(storage.getItem('steps'), null);
+});
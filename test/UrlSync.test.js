@@ -0,0 +1,36 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+import { length } from '../lib/validation/constraints.js';
+
+test('writes the valid submitted data without the submitter into the URL', () => {
+    history.replaceState(null, '', '/page');
+    render('<form><input name="q"><button name="save" value="1">Save</button></form>');
+    const form = new Form('form');
+    const formElement = form.getFormElement();
+
+    form.addConstraints({ q: [length({ min: 3 })] });
+    form.addSubmitListener(() => form.submitAsync({ transport: () => Promise.resolve(new Response('')) }));
+    form.syncWithUrl({ events: ['submit'] });
+
+    form.setElementValue('q', 'x');
+    formElement.requestSubmit(document.querySelector('button'));
+
+    assert.equal(location.search, '');
+
+    form.setElementValue('q', 'x y');
+    formElement.requestSubmit(document.querySelector('button'));
+
+    assert.equal(location.search, '?q=x%20y');
+});
+
+test('restores the data from the URL', () => {
+    history.replaceState(null, '', '/page?q=abc&__proto__[polluted]=1');
+    render('<form><input name="q"></form>');
+    const form = new Form('form').syncWithUrl();
+
+    assert.equal(form.getElementValue('q'), 'abc');
+    assert.equal({}.polluted, undefined);
+    history.replaceState(null, '', '/page');
+});
@@ -0,0 +1,105 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+import Bootstrap5ErrorRenderer from '../lib/renderer/Bootstrap5ErrorRenderer.js';
+import { required } from '../lib/validation/constraints.js';
+
+function wait(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+test('links the error messages with the invalid elements', () => {
+    render('<form><input name="name" aria-describedby="name_help"><small id="name_help">Full name</small></form>');
+    const form = new Form('form').setErrorRenderer(new Bootstrap5ErrorRenderer());
+    const input = form.getElement('name');
+
+    form.addConstraints({ name: [required()] });
+    form.validate();
+
+    const feedback = document.querySelector('.invalid-feedback');
+
+    assert.equal(input.getAttribute('aria-invalid'), 'true');
+    assert.equal(feedback.id, 'name_error');
+    assert.equal(input.getAttribute('aria-describedby'), 'name_help name_error');
+
+    form.setElementValue('name', 'John');
+    form.validate();
+
+    assert.equal(input.hasAttribute('aria-invalid'), false);
+    assert.equal(input.getAttribute('aria-describedby'), 'name_help');
+});
+
+test('renders the error summary with links to the invalid elements', () => {
+    render('<form><label for="email">E-mail</label><input id="email" name="email"><input name="name"></form>');
+    const form = new Form('form').enableErrorSummary({ title: 'Errors:' });
+
+    form.setErrors({ name: 'Invalid name.', email: 'Invalid e-mail.', '': 'Server error.' });
+
+    const summary = form.getFormElement().firstElementChild;
+    const links = summary.querySelectorAll('a');
+
+    assert.equal(summary.getAttribute('role'), 'alert');
+    assert.equal(summary.querySelector('p').textContent, 'Errors:');
+    assert.deepEqual(Array.from(summary.querySelectorAll('li')).map((item) => item.textContent),
+        ['Server error.', 'E-mail: Invalid e-mail.', 'name: Invalid name.']);
+
+    links[1].click();
+
+    assert.equal(links[1].getAttribute('href'), '#' + form.getElement('name').id);
+    assert.equal(document.activeElement, form.getElement('name'));
+
+    form.clearErrors();
+
+    assert.equal(form.getFormElement().querySelector('[data-error-summary]'), null);
+});
+
+test('focuses the first invalid element after the blocked submission', () => {
+    render('<form><input name="a"><input name="b" disabled><input name="c"></form>');
+    const form = new Form('form');
+
+    form.addConstraints({ b: [required()], c: [required()] });
+    form.getFormElement().dispatchEvent(new Event('submit', { cancelable: true }));
+
+    assert.equal(document.activeElement, form.getElement('c'));
+
+    form.setErrors({ '': 'Server error.' });
+
+    assert.equal(form.focusFirstInvalid(), false);
+
+    form.enableErrorSummary();
+
+    assert.equal(form.focusFirstInvalid(), true);
+    assert.equal(document.activeElement, form.getFormElement().querySelector('[data-error-summary]'));
+});
+
+test('announces the results of the asynchronous submission', async () => {
+    render('<form><input name="name"></form>');
+    const form = new Form('form').enableAnnouncements({ error: (response) => `Error ${response.status}.` });
+    let result;
+
+    form.addSubmitListener(() => result);
+
+    result = Promise.resolve({ ok: true });
+    form.getFormElement().dispatchEvent(new Event('submit', { cancelable: true }));
+    await result;
+    // The live region updates the message after 50 ms.
+    await wait(60);
+
+    const region = form.getFormElement().querySelector('[data-live-region]');
+
+    assert.equal(region.getAttribute('aria-live'), 'polite');
+    assert.equal(region.textContent, 'The form has been sent.');
+
+    result = Promise.resolve({ ok: false, status: 500 });
+    form.getFormElement().dispatchEvent(new Event('submit', { cancelable: true }));
+    await result;
+    await wait(60);
+
+    assert.equal(region.textContent, 'Error 500.');
+
+    form.disableAnnouncements();
+
+    assert.equal(form.getFormElement().querySelector('[data-live-region]'), null);
+    assert.throws(() => form.enableAnnouncements({ politeness: 'off' }), TypeError);
+});
@@ -0,0 +1,28 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertFormat, parseFormat } from '../lib/date/dateFormat.js';
+import DateField from '../lib/date/DateField.js';
+
+test('converts the format between the syntaxes', () => {
+    assert.equal(convertFormat('d.m.Y', 'php', 'jqueryui'), 'dd.mm.yy');
+    assert.equal(convertFormat('dd.mm.yy', 'jqueryui', 'icu'), 'dd.MM.yyyy');
+    assert.equal(convertFormat('d MMMM y', 'icu', 'php'), 'j F Y');
+});
+
+test('rejects the time tokens', () => {
+    assert.throws(() => parseFormat('d.m.Y H:i', 'php'), { name: 'TypeError', message: /time token "H"/ });
+    assert.throws(() => parseFormat('dd.MM.yyyy HH:mm', 'icu'), { name: 'TypeError', message: /time token "HH"/ });
+
+    render('<form><input name="date"></form>');
+
+    assert.throws(() => new DateField('input', { format: 'Y-m-d H:i' }), { name: 'TypeError', message: /time token/ });
+});
+
+test('rejects the not supported PHP tokens', () => {
+    for (const token of ['S', 'N', 'w', 'z', 'W', 't', 'L', 'o', 'X', 'x']) {
+        assert.throws(() => parseFormat(`j${token} F Y`, 'php'), { name: 'TypeError', message: new RegExp(`token "${token}"`) }, token);
+    }
+
+    assert.equal(convertFormat('j\\S F Y', 'php', 'icu'), "d'S 'MMMM yyyy");
+});
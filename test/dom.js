@@ -0,0 +1,50 @@
+/*
+ * (c) Artur Doruch <arturdoruch@interia.pl>
+ */
+
+/**
+ * Sets up the jsdom window globals used by the library. Must be imported before the library modules.
+ */
+
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<!doctype html><html><body></body></html>', { url: 'http://localhost/page' });
+
+for (const name of [
+    'window', 'document', 'Node', 'NodeList', 'RadioNodeList', 'Element', 'HTMLElement', 'HTMLFormElement',
+    'HTMLInputElement', 'HTMLSelectElement', 'HTMLCollection', 'Event', 'CustomEvent', 'FormData', 'File', 'Blob',
+    'FileList', 'MutationObserver', 'DocumentFragment', 'HTMLTemplateElement', 'DOMException', 'localStorage',
+    'sessionStorage', 'history', 'location'
+]) {
+    globalThis[name] = dom.window[name];
+}
+
+/**
+ * @param {string} html
+ *
+ * @return {HTMLFormElement} The first form of the rendered HTML.
+ */
+export function render(html) {
+    document.body.innerHTML = html;
+
+    return document.querySelector('form');
+}
+
+/**
+ * Storage stub with "getItem", "setItem" and "removeItem" methods.
+ *
+ * @return {{}}
+ */
+export function createStorage() {
+    const items = {};
+
+    return {
+        getItem: (key) => items.hasOwnProperty(key) ? items[key] : null,
+        setItem: (key, value) => {
+            items[key] = String(value);
+        },
+        removeItem: (key) => {
+            delete items[key];
+        }
+    };
+}
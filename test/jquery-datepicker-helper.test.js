@@ -0,0 +1,107 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import datepickerHelper from '../lib/helper/jquery-datepicker-helper.js';
+import { addMessages, getLocale } from '../lib/validation/messages.js';
+import pl from '../lib/validation/translations/pl.js';
+
+/**
+ * jQuery UI datepicker stub, supporting the "dd.mm.yy" format only.
+ */
+function jQuery(element) {
+    return {
+        datepicker(...args) {
+            jQuery.calls.push([element.name, ...args]);
+        }
+    };
+}
+
+jQuery.calls = [];
+jQuery.datepicker = {
+    _defaults: { monthNames: [] },
+    regional: { '': { monthNames: [] }, pl: { monthNames: ['styczeń'] } },
+    setDefaults(settings) {
+        Object.assign(this._defaults, settings);
+    },
+    parseDate(format, value) {
+        const match = /^(\d{2})\.(\d{2})\.(\d{4})$/.exec(value);
+
+        if (format !== 'dd.mm.yy' || !match) {
+            throw new Error('Invalid date');
+        }
+
+        return new Date(match[3], match[2] - 1, match[1]);
+    },
+    formatDate(format, date) {
+        const pad = (number) => String(number).padStart(2, '0');
+
+        return `${pad(date.getDate())}.${pad(date.getMonth() + 1)}.${date.getFullYear()}`;
+    }
+};
+window.jQuery = jQuery;
+
+function addDays(days) {
+    const date = new Date();
+
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function registerDateRange(options) {
+    render('<form><input name="from"><input name="to"></form>');
+
+    return datepickerHelper.registerDateRange(document.querySelector('[name="from"]'), document.querySelector('[name="to"]'), undefined, options);
+}
+
+test('allows the future end date and requires the end date later than the start date by default', () => {
+    const range = registerDateRange();
+
+    range.setDates(addDays(0), addDays(10));
+    assert.deepEqual(range.validate('en'), { from: [], to: [] });
+
+    range.setDates(addDays(0), addDays(0));
+    assert.deepEqual(range.validate('en').to, ['The end date should be later than the start date.']);
+    assert.equal(jQuery.calls[0][1].dateFormat, 'dd.mm.yy');
+});
+
+test('passes the range options', () => {
+    const range = registerDateRange({ allowFuture: false, allowSameDay: true });
+
+    range.setDates(addDays(0), addDays(0));
+    assert.deepEqual(range.validate('en'), { from: [], to: [] });
+
+    range.setDates(addDays(0), addDays(1));
+    assert.deepEqual(range.validate('en').to, ['This value should not be a future date.']);
+});
+
+test('renders the translated error messages and sets the aria attributes', () => {
+    render('<form><div class="form-group"><input name="date"></div></form>');
+    const input = document.querySelector('[name="date"]');
+    const validate = (value) => {
+        input.value = value;
+        input.dispatchEvent(new Event('blur'));
+    };
+
+    datepickerHelper.register(input);
+    validate('2024-01-01');
+
+    const help = document.querySelector('.help-block');
+
+    assert.equal(help.textContent, 'This value is not a valid date.');
+    assert.equal(input.getAttribute('aria-invalid'), 'true');
+    assert.equal(input.getAttribute('aria-describedby'), help.id);
+
+    addMessages('pl', pl);
+    datepickerHelper.setLocale('pl');
+    validate('2024');
+
+    assert.equal(getLocale(), 'pl');
+    assert.equal(document.querySelector('.help-block').textContent, 'Ta wartość nie jest prawidłową datą.');
+
+    validate('01.01.2024');
+
+    assert.equal(document.querySelector('.help-block'), null);
+    assert.equal(input.hasAttribute('aria-invalid'), false);
+    assert.equal(input.hasAttribute('aria-describedby'), false);
+
+    datepickerHelper.setLocale('en');
+});
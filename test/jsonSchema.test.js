@@ -0,0 +1,47 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+import { mapJsonSchema } from '../lib/validation/jsonSchema.js';
+
+function validate(format, value) {
+    const [field] = mapJsonSchema({ type: 'object', properties: { at: { type: 'string', format } } });
+
+    return field.constraints.map((constraint) => constraint.validate(value)).filter((violation) => violation !== null);
+}
+
+test('validates the "date-time" format', () => {
+    for (const value of ['2024-01-31T10:30', '2024-01-31T10:30:15', '2024-01-31T10:30:15.250Z', '2024-01-31T10:30:15+02:00', '2024-01-31 10:30:15z']) {
+        assert.deepEqual(validate('date-time', value), [], value);
+    }
+
+    for (const value of ['2024-01-31', '2024-02-30T10:30', '2024-01-31T24:00', '2024-01-31T10:30Z', '2024-01-31T10:30:15+25:00', 'now']) {
+        assert.equal(validate('date-time', value)[0].message, 'This value is not a valid datetime.', value);
+    }
+});
+
+test('validates the "date" format', () => {
+    assert.deepEqual(validate('date', '2024-01-31'), []);
+    assert.equal(validate('date', '2024-01-31T10:30').length, 1);
+});
+
+test('does not require the checkbox of the required boolean property', () => {
+    render('<form><input type="checkbox" name="agree" value="1"></form>');
+    const form = new Form('form');
+
+    form.useJsonSchema({ type: 'object', required: ['agree'], properties: { agree: { type: 'boolean' } } });
+
+    assert.equal(form.validate(), true);
+    assert.deepEqual(form.getData({ typed: true }), { agree: false });
+});
+
+test('validates the indexed elements of the array of scalars', () => {
+    render('<form name="user"><input name="user[tags][0]" value="x"><input name="user[tags][1]" value="ok"></form>');
+    const form = new Form('form');
+
+    form.useNameAsElementNamePrefix();
+    form.useJsonSchema({ type: 'object', properties: { tags: { type: 'array', items: { type: 'string', minLength: 2 } } } });
+
+    assert.equal(form.validate(), false);
+    assert.deepEqual(form.getViolations().map((violation) => violation.name), ['user[tags][0]']);
+});
@@ -0,0 +1,48 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+import { addMessages, setLocale, getLocale, hasMessages, translate } from '../lib/validation/messages.js';
+import { required, length } from '../lib/validation/constraints.js';
+import pl from '../lib/validation/translations/pl.js';
+
+test('translates the messages into the locale', () => {
+    addMessages('pl', pl);
+    addMessages('pl_PL', { 'This value is not valid.': 'Nieprawidłowa wartość.' });
+
+    assert.equal(hasMessages('pl-PL'), true);
+    assert.equal(hasMessages('de'), false);
+    assert.equal(translate('This value is not valid.', 'pl-PL'), 'Nieprawidłowa wartość.');
+    assert.equal(translate('This value is not valid.', 'PL'), 'Ta wartość jest nieprawidłowa.');
+    assert.equal(translate('This value should not be blank.', 'pl-PL'), 'Ta wartość nie powinna być pusta.');
+    assert.equal(translate('Unknown message.', 'pl'), 'Unknown message.');
+    assert.equal(translate('This value is not valid.'), 'This value is not valid.');
+    assert.throws(() => addMessages('pl', null), TypeError);
+    assert.throws(() => setLocale(''), TypeError);
+});
+
+test('translates the form validation messages into the current locale', () => {
+    render('<form><input name="name"><input name="code" value="a"></form>');
+    const form = new Form('form');
+
+    form.addConstraints({
+        name: [required()],
+        code: [length({ min: 2, minMessage: 'Too short code.' })]
+    });
+    addMessages('pl', pl);
+    addMessages('pl', { 'Too short code.': 'Za krótki kod.' });
+    setLocale('pl_PL');
+
+    try {
+        form.validate();
+
+        assert.equal(getLocale(), 'pl-PL');
+        assert.deepEqual(form.getErrors(), { name: ['Ta wartość nie powinna być pusta.'], code: ['Za krótki kod.'] });
+    } finally {
+        setLocale('en');
+    }
+
+    form.validate();
+
+    assert.deepEqual(form.getErrors(), { name: ['This value should not be blank.'], code: ['Too short code.'] });
+});
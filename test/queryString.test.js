@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, stringify } from '../lib/queryString.js';
+
+test('parses the nested data', () => {
+    assert.deepEqual(parse('?a[b][]=1&a[b][]=2&c[0][d]=3&e=x+y&e=z'), { a: { b: ['1', '2'] }, c: [{ d: '3' }], e: ['x y', 'z'] });
+});
+
+test('ignores the keys modifying the object prototype', () => {
+    const data = parse('__proto__[polluted]=yes&a[__proto__][polluted]=yes&constructor[prototype][polluted]=yes'
+        + '&__proto__=x&b[constructor]=y&hasOwnProperty=1&hasOwnProperty=2&c=3');
+
+    assert.equal({}.polluted, undefined);
+    assert.equal(Object.prototype.polluted, undefined);
+    assert.deepEqual(data, { hasOwnProperty: ['1', '2'], c: '3' });
+});
+
+test('round-trips the nested data', () => {
+    const data = { a: { b: ['1', '2'] }, c: [{ d: '3' }], e: '=&' };
+
+    assert.deepEqual(parse(stringify(data)), data);
+});
+
+test('serializes dates in the local time', () => {
+    assert.equal(stringify({ from: new Date(2024, 0, 1), at: new Date(2024, 0, 1, 0, 30) }), 'from=2024-01-01&at=2024-01-01T00%3A30');
+});
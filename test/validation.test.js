@@ -0,0 +1,117 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+import { required, length, regex, range, choice, email, url, date, callback } from '../lib/validation/constraints.js';
+
+function validate(constraint, value) {
+    const violation = constraint.validate(value);
+
+    return violation ? violation.message : null;
+}
+
+test('validates the values with the built-in constraints', () => {
+    assert.equal(validate(required(), ''), 'This value should not be blank.');
+    assert.equal(validate(required(), []), 'This value should not be blank.');
+    assert.equal(validate(required(), '0'), null);
+    assert.equal(validate(length({ min: 2 }), 'a'), 'This value is too short. It should have {{ limit }} characters or more.');
+    assert.equal(validate(length({ max: 1 }), ['a', 'b']), 'This value is too long. It should have {{ limit }} characters or less.');
+    assert.equal(validate(regex(/^\d+$/), '12a'), 'This value is not valid.');
+    assert.equal(validate(regex(/^\d+$/, { match: false }), '12a'), null);
+    assert.equal(validate(range({ min: 1, max: 10 }), '11'), 'This value should be {{ limit }} or less.');
+    assert.equal(validate(range({ min: 1 }), 'a'), 'This value should be a valid number.');
+    assert.equal(validate(choice(['a', 'b']), ['a', 'c']), 'The value you selected is not a valid choice.');
+    assert.equal(validate(email(), 'john@example'), 'This value is not a valid email address.');
+    assert.equal(validate(url(), 'ftp://example.com'), 'This value is not a valid URL.');
+    assert.equal(validate(date(), '2024-02-30'), 'This value is not a valid date.');
+    assert.equal(validate(callback((value) => value === 'ok'), 'no'), 'This value is not valid.');
+});
+
+test('does not validate the empty values with the constraints other than required', () => {
+    for (const constraint of [length({ min: 2 }), regex(/^\d+$/), range({ min: 1 }), choice(['a']), email(), url(), date()]) {
+        assert.equal(validate(constraint, ''), null, constraint.name);
+        assert.equal(validate(constraint, null), null, constraint.name);
+    }
+});
+
+test('rejects the invalid constraint options', () => {
+    assert.throws(() => length(), TypeError);
+    assert.throws(() => range({}), TypeError);
+    assert.throws(() => choice('a'), TypeError);
+});
+
+test('validates the form elements and collects the errors', () => {
+    render('<form name="user"><input name="user[email]" value="john"><input name="user[name]" value="John">'
+        + '<input name="user[nick]" disabled></form>');
+    const form = new Form('form').useNameAsElementNamePrefix();
+
+    form.addConstraints({
+        '[email]': [required(), email()],
+        'user[name]': [length({ min: 2, max: 10 })],
+        '[nick]': [required()]
+    });
+
+    assert.equal(form.validate(), false);
+    assert.equal(form.isValid(), false);
+    assert.deepEqual(form.getErrors(), { 'user[email]': ['This value is not a valid email address.'] });
+    assert.deepEqual(form.getErrors('[email]'), ['This value is not a valid email address.']);
+
+    form.setElementValue('[email]', 'john@example.com');
+
+    assert.equal(form.validate(['[email]']), true);
+    assert.deepEqual(form.getErrors(), {});
+});
+
+test('validates the multiple choice elements', () => {
+    render('<form><input type="checkbox" name="tags[]" value="a"><input type="checkbox" name="tags[]" value="b"></form>');
+    const form = new Form('form');
+
+    form.addConstraints({ tags: [required(), length({ max: 1, maxMessage: 'Choose one.' })] });
+
+    form.validate();
+    assert.deepEqual(form.getErrors(), { tags: ['This value should not be blank.'] });
+
+    form.setElementValue('tags[]', ['a', 'b']);
+    form.validate();
+    assert.deepEqual(form.getErrors(), { tags: ['Choose one.'] });
+});
+
+test('removes the constraints', () => {
+    render('<form><input name="name"></form>');
+    const form = new Form('form');
+    const constraint = required();
+
+    form.addConstraints({ name: [constraint, length({ min: 2 })] });
+    form.validate();
+    form.removeConstraints('name', [constraint]);
+
+    assert.deepEqual(form.getErrors(), {});
+    assert.equal(form.validate(), true);
+
+    form.setElementValue('name', 'a');
+    assert.equal(form.validate(), false);
+
+    form.removeConstraints('name');
+    assert.equal(form.validate(), true);
+});
+
+test('blocks the submission of the invalid form', () => {
+    render('<form><input name="name"></form>');
+    const form = new Form('form');
+    const submitted = [];
+
+    form.addConstraints({ name: [required()] });
+    form.addSubmitListener(() => submitted.push(form.getData()));
+
+    const event = new Event('submit', { cancelable: true });
+    form.getFormElement().dispatchEvent(event);
+
+    assert.equal(event.defaultPrevented, true);
+    assert.deepEqual(submitted, []);
+    assert.deepEqual(Object.keys(form.getErrors()), ['name']);
+
+    form.setElementValue('name', 'John');
+    form.getFormElement().dispatchEvent(new Event('submit', { cancelable: true }));
+
+    assert.deepEqual(submitted, [{ name: 'John' }]);
+});
@@ -0,0 +1,120 @@
+import { render } from './dom.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Form from '../lib/Form.js';
+import Bootstrap3ErrorRenderer from '../lib/renderer/Bootstrap3ErrorRenderer.js';
+import Bootstrap5ErrorRenderer from '../lib/renderer/Bootstrap5ErrorRenderer.js';
+import { normalizeViolations, parsePropertyPath } from '../lib/validation/violations.js';
+
+const html = '<form name="user"><input name="user[email]"><input name="user[address][city]">'
+    + '<input name="user[items][0][qty]"><input type="checkbox" name="user[tags][]" value="a"></form>';
+
+test('parses the property paths', () => {
+    assert.deepEqual(parsePropertyPath('user.address.city'), ['user', 'address', 'city']);
+    assert.deepEqual(parsePropertyPath('items[0].qty'), ['items', '0', 'qty']);
+    assert.deepEqual(parsePropertyPath('children[email].data'), ['email']);
+    assert.deepEqual(parsePropertyPath('#/items/0/a~1b'), ['items', '0', 'a/b']);
+});
+
+test('normalizes the violations payloads', () => {
+    const expected = [{ path: ['address', 'city'], message: 'Invalid.' }];
+
+    assert.deepEqual(normalizeViolations([{ propertyPath: 'address.city', message: 'Invalid.' }]), expected);
+    assert.deepEqual(normalizeViolations({ violations: [{ propertyPath: 'address.city', message: 'Invalid.' }] }), expected);
+    assert.deepEqual(normalizeViolations({ address: { city: ['Invalid.'] } }), expected);
+    assert.deepEqual(normalizeViolations({ children: { address: { children: { city: { errors: ['Invalid.'] } } } } }), expected);
+    assert.deepEqual(normalizeViolations([{ instancePath: '/address', keyword: 'required', params: { missingProperty: 'city' }, message: 'Invalid.' }]), expected);
+});
+
+test('sets the flat list of violations onto the form elements', () => {
+    render(html);
+    const form = new Form('form').useNameAsElementNamePrefix();
+
+    form.setErrors([
+        { propertyPath: 'email', message: 'Invalid email.' },
+        { propertyPath: 'user.address.city', message: 'Invalid city.' },
+        { propertyPath: 'items[0].qty', message: 'Invalid quantity.' },
+        { propertyPath: 'tags', message: 'Choose a tag.' },
+        { propertyPath: 'unknown', message: 'Unknown field.' },
+        { propertyPath: '', message: 'Form error.' }
+    ]);
+
+    assert.deepEqual(form.getErrors(), {
+        'user[email]': ['Invalid email.'],
+        'user[address][city]': ['Invalid city.'],
+        'user[items][0][qty]': ['Invalid quantity.'],
+        'user[tags]': ['Choose a tag.'],
+        '': ['Unknown field.', 'Form error.']
+    });
+    assert.deepEqual(form.getErrors('user[email]'), ['Invalid email.']);
+    assert.equal(form.isValid(), false);
+});
+
+test('sets the nested errors and replaces the previous errors', () => {
+    render(html);
+    const form = new Form('form').useNameAsElementNamePrefix();
+
+    form.setErrors({ email: 'Invalid email.' });
+    form.setErrors({ user: { address: { city: ['Invalid city.', 'Too long.'] } } });
+
+    assert.deepEqual(form.getErrors(), { 'user[address][city]': ['Invalid city.', 'Too long.'] });
+
+    form.clearErrors('user[address][city]');
+
+    assert.deepEqual(form.getErrors(), {});
+    assert.equal(form.isValid(), true);
+});
+
+test('renders the errors with the Bootstrap 3 renderer', () => {
+    render('<form><div class="form-group"><input name="email"></div><input name="city"></form>');
+    const form = new Form('form').setErrorRenderer(new Bootstrap3ErrorRenderer());
+    const group = document.querySelector('.form-group');
+
+    form.setErrors({ email: 'Invalid email.', city: 'Invalid city.', '': 'Form error.' });
+
+    assert.equal(group.classList.contains('has-error'), true);
+    assert.equal(group.querySelector('.help-block').textContent, 'Invalid email.');
+    assert.equal(document.querySelector('[name="city"]').nextElementSibling.textContent, 'Invalid city.');
+    assert.equal(document.querySelector('form > .alert-danger').textContent, 'Form error.');
+
+    form.clearErrors();
+
+    assert.equal(group.classList.contains('has-error'), false);
+    assert.equal(document.querySelectorAll('[data-form-error]').length, 0);
+});
+
+test('renders the errors with the Bootstrap 5 renderer', () => {
+    render('<form><input name="email"></form>');
+    const form = new Form('form').setErrorRenderer(new Bootstrap5ErrorRenderer());
+    const input = document.querySelector('[name="email"]');
+
+    form.setErrors({ email: ['Invalid email.', 'Too long.'] });
+
+    assert.equal(input.classList.contains('is-invalid'), true);
+    assert.equal(input.nextElementSibling.className, 'invalid-feedback');
+    assert.equal(input.nextElementSibling.children.length, 2);
+
+    form.clearErrors('email');
+
+    assert.equal(input.classList.contains('is-invalid'), false);
+    assert.equal(input.nextElementSibling, null);
+});
+
+test('renders the errors with the custom renderer', () => {
+    render('<form><input name="email"></form>');
+    const calls = [];
+    const form = new Form('form').setErrorRenderer({
+        render: (elements, messages, name) => calls.push(['render', elements.length, messages, name]),
+        clear: (elements, name) => calls.push(['clear', elements.length, name])
+    });
+
+    form.setErrors([{ propertyPath: 'email', message: 'Invalid email.' }]);
+    form.clearErrors();
+
+    assert.deepEqual(calls, [
+        ['clear', 1, 'email'],
+        ['render', 1, ['Invalid email.'], 'email'],
+        ['clear', 1, 'email']
+    ]);
+    assert.throws(() => form.setErrorRenderer({ render() {} }), TypeError);
+});